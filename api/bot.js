@@ -10,6 +10,14 @@ const {
 const setupCommandHandlers = require('../handlers/commandHandlers');
 const { setupWebhook } = require('../handlers/webhookHandler');
 const { setupActionHandlers } = require('../handlers/actionHandlers');
+const { setupAdminHandlers } = require('../handlers/adminHandlers');
+const { setupLiveQuizHandlers } = require('../handlers/liveQuizHandlers');
+const { setupInlineHandlers } = require('../handlers/inlineHandlers');
+const {
+  setupDailyHandlers,
+  pushDailyQuestion,
+} = require('../handlers/dailyHandlers');
+const config = require('../config/default');
 
 // Global bot instance
 let bot = null;
@@ -60,6 +68,18 @@ const initBot = async (force = false) => {
     console.log('[DEBUG] Setting up action handlers...');
     await setupActionHandlers(newBot);
 
+    console.log('[DEBUG] Setting up admin handlers...');
+    await setupAdminHandlers(newBot);
+
+    console.log('[DEBUG] Setting up live quiz handlers...');
+    await setupLiveQuizHandlers(newBot);
+
+    console.log('[DEBUG] Setting up daily question handlers...');
+    await setupDailyHandlers(newBot);
+
+    console.log('[DEBUG] Setting up inline query handlers...');
+    await setupInlineHandlers(newBot);
+
     // Verify bot connection
     await newBot.telegram.getMe();
 
@@ -85,6 +105,24 @@ const handler = async (req, res) => {
   );
 
   try {
+    // Vercel Cron pushes the daily question, see vercel.json
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && searchParams.get('task') === 'daily') {
+      if (
+        !process.env.CRON_SECRET ||
+        req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`
+      ) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      await ensureDatabaseConnection();
+      const currentBot = await initBot();
+      if (!currentBot) {
+        throw new Error('Failed to initialize bot');
+      }
+      const sent = await pushDailyQuestion(currentBot.telegram);
+      return res.status(200).json({ ok: true, sent });
+    }
+
     // Health check endpoint
     if (req.method === 'GET') {
       const status = {
@@ -257,14 +295,33 @@ const startLocalBot = async () => {
 
     console.log('[DEBUG] Bot successfully started in polling mode');
 
+    // No cron locally: check every hour, the push goes out once a day
+    const dailyPushTimer = setInterval(() => {
+      const hour = parseInt(
+        new Intl.DateTimeFormat('en-US', {
+          hour: 'numeric',
+          hourCycle: 'h23',
+          timeZone: config.timezone,
+        }).format(new Date()),
+        10
+      );
+      if (hour >= config.daily.pushHour) {
+        pushDailyQuestion(currentBot.telegram).catch(error => {
+          console.error('[DEBUG] Error pushing daily question:', error);
+        });
+      }
+    }, 60 * 60 * 1000);
+
     // Enable graceful stop
     process.once('SIGINT', () => {
       console.log('[DEBUG] Received SIGINT signal');
+      clearInterval(dailyPushTimer);
       currentBot?.stop('SIGINT');
     });
 
     process.once('SIGTERM', () => {
       console.log('[DEBUG] Received SIGTERM signal');
+      clearInterval(dailyPushTimer);
       currentBot?.stop('SIGTERM');
     });
 
@@ -13,6 +13,58 @@ const config = {
   mongodb: {
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/chainseeker',
   },
+  // Quizzes can override these with the gemThreshold/gemReward settings
+  gems: {
+    // Minimum percentage of correct answers needed to earn gems
+    threshold: parseInt(process.env.GEM_THRESHOLD, 10) || 90,
+    reward: parseInt(process.env.GEM_REWARD, 10) || 1,
+  },
+  attempts: {
+    // Unfinished attempts older than this are scored as they stand
+    expiryHours: parseInt(process.env.ATTEMPT_EXPIRY_HOURS, 10) || 24,
+  },
+  // Used to display quiz deadlines and to cut leaderboard periods
+  timezone: process.env.TIMEZONE || 'UTC',
+  leaderboard: {
+    // Start of the current season, e.g. 2024-10-01; calendar quarters when
+    // unset
+    seasonStart: process.env.SEASON_START || null,
+  },
+  liveQuiz: {
+    // Seconds to answer a round, unless the question sets its own limit
+    roundSeconds: parseInt(process.env.LIVE_ROUND_SECONDS, 10) || 20,
+  },
+  duels: {
+    // Elo rating of a player's first duel, and how far one duel moves it
+    initialRating: 1000,
+    kFactor: 32,
+    // Challenges not played by both players within this are expired
+    expiryHours: parseInt(process.env.DUEL_EXPIRY_HOURS, 10) || 48,
+  },
+  teams: {
+    maxSize: parseInt(process.env.TEAM_MAX_SIZE, 10) || 20,
+    // Only a team's best players count towards /teamboard, so a bigger
+    // team has no edge past this many members
+    countedMembers: parseInt(process.env.TEAM_COUNTED_MEMBERS, 10) || 5,
+    // How /teamboard ranks teams by default: average or total
+    ranking: process.env.TEAM_RANKING === 'total' ? 'total' : 'average',
+  },
+  daily: {
+    // Local hour (in TIMEZONE) after which the daily question is pushed when
+    // running locally. On Vercel neither this nor TIMEZONE applies: the cron
+    // schedule in vercel.json decides, and Vercel reads it in UTC.
+    pushHour: parseInt(process.env.DAILY_PUSH_HOUR, 10) || 9,
+    // Most players reminded per push run; the rest get it on the next run
+    pushLimit: parseInt(process.env.DAILY_PUSH_LIMIT, 10) || 200,
+  },
+  cards: {
+    // Set CARD_IMAGES=false to send the text leaderboard and no score cards
+    enabled: process.env.CARD_IMAGES !== 'false',
+    // Players shown on the /leaderboard image
+    leaderboardSize: parseInt(process.env.LEADERBOARD_CARD_SIZE, 10) || 10,
+    // Name printed at the top of every card
+    brand: process.env.CARD_BRAND || 'Quiz Bot',
+  },
   server: {
     port: process.env.PORT || 3000,
     host: process.env.HOST || 'localhost',
@@ -1,6 +1,7 @@
 const quizzes = {
   1: {
     title: 'First Trivia Quiz',
+    closesAt: '2024-10-14T23:59:59Z',
     questions: [
       {
         question:
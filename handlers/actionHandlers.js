@@ -1,29 +1,105 @@
-const { escapeMarkdown } = require('../utils/helpers');
-const { quizzes } = require('../config/quizData');
+const {
+  escapeMarkdown,
+  formatDuration,
+  getStartLink,
+} = require('../utils/helpers');
+const {
+  getQuiz,
+  getUnavailableReason,
+  getQuestionTimeLimit,
+  getSpeedBonus,
+  createAttemptOrder,
+  getAttemptQuestion,
+  getAttemptLength,
+} = require('../services/quizService');
+const {
+  QUESTION_TYPES,
+  getQuestionType,
+  hasOptions,
+  isTypedAnswer,
+  parseNumber,
+  checkAnswer,
+  formatOptionLabel,
+  formatCorrectAnswer,
+  getAnswerHint,
+} = require('../services/questionTypes');
 const { Markup } = require('telegraf');
 const mongoose = require('mongoose');
-const { hasUserCompletedQuiz } = require('../services/database');
-const { getUserSession } = require('../services/sessionManager');
+const {
+  getUserSession,
+  updateUserSession,
+  getQuizState,
+  setQuizState,
+  clearQuizSession,
+  claimQuestion,
+  toggleSelectedOption,
+} = require('../services/sessionManager');
+const { getGemRule } = require('../services/gems');
+const {
+  createPracticeId,
+  getAttemptStore,
+  finalizeAttempt,
+  expireStaleAttempts,
+} = require('../services/attempts');
+const { getQuizProgress } = require('../services/progression');
+const {
+  acceptDuel,
+  declineDuel,
+  claimDuelRound,
+  recordDuelResult,
+  expireStaleDuels,
+} = require('../services/duels');
+const {
+  checkAnswerAchievements,
+  checkCompletionAchievements,
+  getBadges,
+} = require('../services/achievements');
+const { recordDailyResult } = require('../services/daily');
+const { refreshPinnedLeaderboards } = require('./leaderboardMessages');
 const wsManager = require('../services/websocketManager');
+const { renderScoreCard } = require('../utils/cards');
+const config = require('../config/default');
+const {
+  startQuestionTimer,
+  clearQuestionTimer,
+} = require('../services/questionTimer');
 
-// Add at the top of actionHandlers.js
-const quizStates = new Map();
-
-const initQuizState = (userId, quizId) => {
-  quizStates.set(userId.toString(), {
+const initQuizState = (
+  userId,
+  quizId,
+  username,
+  attemptOrder,
+  { practiceId = null, duelId = null, dailyDate = null } = {}
+) =>
+  setQuizState(userId, {
     quizId: parseInt(quizId),
+    username: username || 'Unknown',
+    // Set for practice rounds, duels and daily questions, see
+    // getAttemptStore
+    practiceId,
+    duelId,
+    dailyDate,
+    // Shuffled question ids, and option ids per question, for this attempt
+    questionOrder: attemptOrder.questionOrder,
+    optionOrder: attemptOrder.optionOrder,
     currentQuestion: 0,
     startTime: Date.now(),
-    answeredQuestions: new Set(),
+    questionStartedAt: null,
+    // Set while a timed question is on screen, answers after it are rejected
+    questionDeadline: null,
+    // Where the current question was sent, the only chat typed answers are
+    // read from
+    questionChatId: null,
+    answeredQuestions: [],
+    // Options ticked so far on the current multi-select question
+    selectedOptions: [],
+    // Correct answers in a row, the longest run is kept as bestStreak
+    streak: 0,
   });
-};
 
-const getQuizState = userId => {
-  return quizStates.get(userId.toString());
-};
-
-const clearQuizState = userId => {
-  quizStates.delete(userId.toString());
+const clearQuizState = async userId => {
+  clearQuestionTimer(userId);
+  await clearQuizSession(userId);
 };
 
 // Enhanced message deletion with retry
@@ -46,6 +122,70 @@ const safeDeleteMessage = async (bot, chatId, messageId, retries = 3) => {
   }
 };
 
+const buildQuestionText = (
+  totalQuestions,
+  questionData,
+  questionIndex,
+  secondsLeft
+) =>
+  [
+    `📝 *Question ${questionIndex + 1} of ${totalQuestions}*`,
+    ...(secondsLeft ? [`⏱ Time left: ${secondsLeft}s`] : []),
+    '',
+    escapeMarkdown(questionData.question),
+    ...(getAnswerHint(questionData)
+      ? ['', `_${escapeMarkdown(getAnswerHint(questionData))}_`]
+      : []),
+    '',
+    `🔗 [Read full article](${escapeMarkdown(questionData.link)})`,
+  ].join('\n');
+
+// Sessions saved before questionChatId existed take typed answers in
+// private chats only
+const isQuestionChat = (quizState, chat) =>
+  quizState.questionChatId
+    ? quizState.questionChatId === chat.id
+    : chat.type === 'private';
+
+// Buttons carry option ids, so the answer key does not depend on the order
+// this player sees. Typed-answer questions get no buttons.
+const buildAnswerKeyboard = (
+  quizId,
+  questionIndex,
+  questionData,
+  userId,
+  selectedOptions = []
+) => {
+  if (!hasOptions(questionData)) {
+    return {};
+  }
+
+  const isMulti = getQuestionType(questionData) === QUESTION_TYPES.MULTI;
+  const buttons = questionData.options.map((option, index) => {
+    const label = formatOptionLabel(questionData, option, index);
+    return [
+      isMulti
+        ? Markup.button.callback(
+            `${selectedOptions.includes(option.id) ? '☑️' : '⬜️'} ${label}`,
+            `m${quizId}_${questionIndex}_${option.id}_${userId}`
+          )
+        : Markup.button.callback(
+            label,
+            `q${quizId}_${questionIndex}_${option.id}_${userId}`
+          ),
+    ];
+  });
+  if (isMulti) {
+    buttons.push([
+      Markup.button.callback(
+        '✅ Submit',
+        `ms${quizId}_${questionIndex}_${userId}`
+      ),
+    ]);
+  }
+  return Markup.inlineKeyboard(buttons);
+};
+
 // Enhanced quiz question sender
 async function sendQuizQuestion(
   bot,
@@ -64,49 +204,89 @@ async function sendQuizQuestion(
         attempt: i + 1,
       });
 
-      const quiz = quizzes[quizId];
-      const questionData = quiz.questions[questionIndex];
-      const quizState = getQuizState(userId);
+      const quiz = await getQuiz(quizId);
+      const quizState = await getQuizState(userId);
+      const questionData =
+        quiz && quizState && getAttemptQuestion(quiz, quizState, questionIndex);
 
       if (!quiz || !questionData) {
         throw new Error('Quiz or question not found');
       }
 
-      const userSession = getUserSession(userId);
-      userSession.currentQuizId = quizId;
-      userSession.currentQuestionIndex = questionIndex;
-      console.log('[DEBUG] Updated session state:', {
-        userId,
-        quizId,
+      const timeLimit = getQuestionTimeLimit(quiz, questionData);
+      const totalQuestions = getAttemptLength(quiz, quizState);
+      // A question re-sent by /resume keeps the clock it started with
+      const isResend =
+        quizState.currentQuestion === questionIndex &&
+        Boolean(quizState.questionStartedAt);
+      const questionStartedAt = isResend
+        ? quizState.questionStartedAt
+        : Date.now();
+      const questionDeadline = isResend
+        ? quizState.questionDeadline
+        : timeLimit
+        ? Date.now() + timeLimit * 1000
+        : null;
+      const messageText = buildQuestionText(
+        totalQuestions,
+        questionData,
         questionIndex,
-      });
-
-      const messageText = [
-        `📝 *Question ${questionIndex + 1} of ${quiz.questions.length}*`,
-        '',
-        escapeMarkdown(questionData.question),
-        '',
-        `🔗 [Read full article](${escapeMarkdown(questionData.link)})`,
-      ].join('\n');
-
-      const buttons = questionData.options.map((option, index) => {
-        const isAnswered = quizState.answeredQuestions.has(questionIndex);
-        return [
-          Markup.button.callback(
-            isAnswered ? `${option} ✓` : option,
-            `q${quizId}_${questionIndex}_${index}_${userId}`,
-            isAnswered
-          ),
-        ];
-      });
+        questionDeadline &&
+          Math.max(1, Math.ceil((questionDeadline - Date.now()) / 1000))
+      );
 
       const sentMessage = await bot.telegram.sendMessage(chatId, messageText, {
         parse_mode: 'MarkdownV2',
-        ...Markup.inlineKeyboard(buttons),
+        ...buildAnswerKeyboard(quizId, questionIndex, questionData, userId),
         protect_content: true,
       });
 
-      userSession.lastMessageId = sentMessage.message_id;
+      // Start the clock once the question is actually on screen
+      await updateUserSession(userId, {
+        currentQuizId: quizId,
+        currentQuestionIndex: questionIndex,
+        lastMessageId: sentMessage.message_id,
+        'quizState.questionStartedAt': questionStartedAt,
+        'quizState.questionDeadline': questionDeadline,
+        'quizState.questionChatId': chatId,
+        'quizState.selectedOptions': [],
+      });
+      console.log('[DEBUG] Updated session state:', {
+        userId,
+        quizId,
+        questionIndex,
+      });
+
+      if (questionDeadline) {
+        startQuestionTimer(userId, {
+          deadline: questionDeadline,
+          onTick: async secondsLeft =>
+            bot.telegram.editMessageText(
+              chatId,
+              sentMessage.message_id,
+              undefined,
+              buildQuestionText(
+                totalQuestions,
+                questionData,
+                questionIndex,
+                secondsLeft
+              ),
+              {
+                parse_mode: 'MarkdownV2',
+                // Keep the ticks of a multi-select question in place
+                ...buildAnswerKeyboard(
+                  quizId,
+                  questionIndex,
+                  questionData,
+                  userId,
+                  (await getQuizState(userId))?.selectedOptions
+                ),
+              }
+            ),
+          onExpire: () =>
+            handleQuestionTimeout(bot, chatId, userId, quizId, questionIndex),
+        });
+      }
 
       console.log(
         '[DEBUG] Question sent successfully:',
@@ -121,7 +301,7 @@ async function sendQuizQuestion(
       if (i === retries - 1) {
         await bot.telegram.sendMessage(
           chatId,
-          'Error sending quiz question. Please type /start to begin again.'
+          'Error sending quiz question. Please type /resume to try again.'
         );
         throw error;
       }
@@ -130,6 +310,654 @@ async function sendQuizQuestion(
   }
 }
 
+// Stores the final score and sends the results summary
+const completeQuiz = async (bot, chatId, userId, quiz) => {
+  const quizState = await getQuizState(userId);
+  const {
+    correctAnswers,
+    totalQuestions,
+    bonusPoints,
+    durationMs,
+    gemsEarned,
+    finishedAt,
+  } = await finalizeAttempt(userId, quiz, {
+    username: quizState?.username,
+    startTime: quizState?.startTime,
+    practiceId: quizState?.practiceId,
+  });
+  if (quizState?.dailyDate) {
+    await completeDailyQuestion(bot, chatId, userId, quizState.dailyDate, {
+      correct: correctAnswers > 0,
+      durationMs,
+    });
+    return;
+  }
+  const duelId = quizState?.duelId;
+  const isPractice = Boolean(quizState?.practiceId) && !duelId;
+  const scorePercentage = Math.round((correctAnswers / totalQuestions) * 100);
+  const { threshold } = getGemRule(quiz);
+
+  // Badges earned by this attempt, including those from its answers
+  let newBadges = [];
+  if (!quizState?.practiceId) {
+    await checkCompletionAchievements(userId, {
+      username: quizState?.username,
+      quiz,
+      result: { correctAnswers, totalQuestions, finishedAt },
+    });
+    newBadges = (
+      await getBadges([userId], {
+        since: new Date(quizState?.startTime || finishedAt),
+      })
+    )[userId];
+  }
+
+  const rewardLines = duelId
+    ? [
+        "⚔️ Your duel round is in\\. You'll hear who won once both of you have played\\.",
+      ]
+    : isPractice
+    ? [
+        "🔁 Practice rounds don't count towards the leaderboard, gems or the prize draw\\.",
+      ]
+    : [
+        gemsEarned
+          ? `💎 Gems earned: ${gemsEarned}`
+          : `💎 Score ${threshold}% or more to earn gems`,
+        scorePercentage === 100
+          ? "🏆 Perfect Score\\! You're eligible for the prize draw\\!"
+          : 'Keep trying to get a perfect score\\!',
+      ];
+
+  const completionText = [
+    duelId
+      ? '⚔️ *Duel Round Completed\\!*'
+      : isPractice
+      ? '🎉 *Practice Completed\\!*'
+      : '🎉 *Quiz Completed\\!*',
+    '',
+    '📊 *Your Results:*',
+    `✓ Score: ${correctAnswers}/${totalQuestions} \\(${scorePercentage}%\\)`,
+    ...(bonusPoints
+      ? [
+          `⚡ Speed bonus: \\+${bonusPoints}`,
+          `🏅 Total points: ${correctAnswers + bonusPoints}`,
+        ]
+      : []),
+    `⏱ Time: ${formatDuration(durationMs)}`,
+    ...rewardLines,
+    ...(newBadges.length
+      ? [
+          '',
+          '🏅 *New badges:*',
+          ...newBadges.map(
+            achievement =>
+              `${achievement.emoji} ${escapeMarkdown(
+                achievement.title
+              )} \\- ${escapeMarkdown(achievement.description)}`
+          ),
+        ]
+      : []),
+    '',
+    '📋 *Available Commands:*',
+    '/start \\- Start a new quiz',
+    '/help \\- Show all available commands',
+    '/listquizzes \\- Show available quizzes',
+    '/leaderboard \\- View top 10 players',
+  ].join('\n');
+
+  await bot.telegram.sendMessage(chatId, completionText, {
+    parse_mode: 'MarkdownV2',
+    // Duellists may not have completed the quiz they played
+    ...(duelId
+      ? {}
+      : Markup.inlineKeyboard([
+          Markup.button.callback(
+            '🔁 Practice again',
+            `practice_quiz_${quiz.quizId}`
+          ),
+        ])),
+    protect_content: true,
+  });
+
+  // Clear both quiz state and session
+  await clearQuizState(userId);
+
+  if (duelId) {
+    const duel = await recordDuelResult(duelId, userId, {
+      correctAnswers,
+      totalQuestions,
+      durationMs,
+    });
+    if (duel) {
+      await notifyDuelResult(bot, duel);
+    }
+  } else if (!isPractice) {
+    if (config.cards.enabled) {
+      await sendScoreCard(bot, chatId, quiz, {
+        username: quizState?.username,
+        correctAnswers,
+        totalQuestions,
+        bonusPoints,
+        durationMs,
+        gemsEarned,
+      });
+    }
+    await refreshPinnedLeaderboards(bot.telegram, userId);
+  }
+};
+
+// An image of the player's result with a link for others to take the same
+// quiz. It gives no answers away, so unlike the other messages it may be
+// forwarded. A card that fails to render is skipped.
+const sendScoreCard = async (bot, chatId, quiz, result) => {
+  try {
+    const { correctAnswers, totalQuestions, bonusPoints, gemsEarned } = result;
+    const quizLink = bot.botInfo
+      ? getStartLink(bot.botInfo.username, `quiz_${quiz.quizId}`)
+      : null;
+    const image = renderScoreCard({
+      brand: config.cards.brand,
+      playerName: result.username ? `@${result.username}` : '',
+      quizTitle: quiz.title,
+      correct: correctAnswers,
+      total: totalQuestions,
+      details: [
+        `${correctAnswers + bonusPoints} points`,
+        formatDuration(result.durationMs),
+        ...(gemsEarned
+          ? [`${gemsEarned} gem${gemsEarned === 1 ? '' : 's'}`]
+          : []),
+      ],
+      footer: quizLink
+        ? `Can you beat it? ${quizLink.replace('https://', '')}`
+        : 'Can you beat it?',
+    });
+
+    await bot.telegram.sendPhoto(
+      chatId,
+      { source: image, filename: 'score.png' },
+      {
+        caption: `🎉 ${correctAnswers}/${totalQuestions} on ${quiz.title}. Can you beat it?`,
+        ...(quizLink
+          ? Markup.inlineKeyboard([
+              Markup.button.url('🎮 Take the quiz', quizLink),
+            ])
+          : {}),
+      }
+    );
+  } catch (error) {
+    console.error('[DEBUG] Error sending score card:', error);
+  }
+};
+
+// Records the answer of the day and tells the player how their daily
+// streak stands
+const completeDailyQuestion = async (bot, chatId, userId, date, result) => {
+  const { dailyStreak, bestDailyStreak } = await recordDailyResult(
+    date,
+    userId,
+    result
+  );
+  await clearQuizState(userId);
+
+  await bot.telegram.sendMessage(
+    chatId,
+    [
+      '📅 *Daily Question*',
+      '',
+      result.correct
+        ? '✅ You got it right\\!'
+        : '❌ Not this time\\. Your daily streak starts again tomorrow\\.',
+      `🔥 Daily streak: ${dailyStreak} day${
+        dailyStreak === 1 ? '' : 's'
+      } \\(best ${bestDailyStreak}\\)`,
+      '',
+      'See how you compare with /dailyboard, and come back tomorrow for the next question\\!',
+    ].join('\n'),
+    { parse_mode: 'MarkdownV2', protect_content: true }
+  );
+};
+
+// Tells both players who won a settled duel and how their rating moved
+const notifyDuelResult = async (bot, duel) => {
+  const players = [duel.challenger, duel.opponent];
+  const describe = player => {
+    const result = duel.results[player.userId];
+    return `${player.username}: ${result.correctAnswers}/${
+      result.totalQuestions
+    } in ${formatDuration(result.durationMs)}`;
+  };
+
+  for (const player of players) {
+    const other = players.find(item => item.userId !== player.userId);
+    const { before, after } = duel.ratings[player.userId];
+    const change = after - before;
+    const headline =
+      duel.winnerId === null
+        ? `🤝 Your duel with ${other.username} is a draw!`
+        : duel.winnerId === player.userId
+        ? `🏆 You won the duel against ${other.username}!`
+        : `😔 ${other.username} won the duel.`;
+    await bot.telegram
+      .sendMessage(
+        player.userId,
+        [
+          headline,
+          '',
+          ...players.map(describe),
+          '',
+          `⚔️ Duel rating: ${after} (${change >= 0 ? '+' : ''}${change})`,
+          'See the ranking with /duelboard',
+        ].join('\n'),
+        { protect_content: true }
+      )
+      .catch(error => {
+        console.error('[DEBUG] Error sending duel result:', error.description);
+      });
+  }
+};
+
+// Expires the duels that were not played in time and tells both players.
+// Ratings don't change.
+const closeStaleDuels = async telegram => {
+  for (const duel of await expireStaleDuels()) {
+    console.log('[DEBUG] Expired stale duel:', duel.duelId);
+    const players = [duel.challenger, duel.opponent];
+    for (const player of players) {
+      const other = players.find(item => item.userId !== player.userId);
+      await telegram
+        .sendMessage(
+          player.userId,
+          `⌛ Your duel with ${other.username} expired before both rounds were played. Ratings are unchanged.`,
+          { protect_content: true }
+        )
+        .catch(error => {
+          console.error(
+            '[DEBUG] Error sending duel expiry:',
+            error.description
+          );
+        });
+    }
+  }
+};
+
+// Send next question or complete quiz
+const advanceQuiz = async (bot, chatId, userId, quiz, questionIndex) => {
+  const quizState = await getQuizState(userId);
+  if (questionIndex + 1 < getAttemptLength(quiz, quizState || {})) {
+    await sendQuizQuestion(bot, chatId, quiz.quizId, questionIndex + 1, userId);
+  } else {
+    await completeQuiz(bot, chatId, userId, quiz);
+  }
+};
+
+// Records an expired question as unanswered and moves on. Runs from the
+// countdown timer, or from a late answer when the timer was lost.
+const handleQuestionTimeout = async (
+  bot,
+  chatId,
+  userId,
+  quizId,
+  questionIndex
+) => {
+  // Claim the question so a racing answer is rejected
+  const quizState = await claimQuestion(userId, quizId, questionIndex);
+  if (!quizState) {
+    return;
+  }
+  clearQuestionTimer(userId);
+
+  try {
+    const userSession = await getUserSession(userId);
+    const quiz = await getQuiz(quizId);
+    if (!quiz) {
+      throw new Error('Quiz not found');
+    }
+    const questionData = getAttemptQuestion(quiz, quizState, questionIndex);
+
+    const { collection, filter } = getAttemptStore(
+      userId,
+      quizId,
+      quizState.practiceId
+    );
+    await collection.updateOne(
+      filter,
+      {
+        $set: { username: quizState.username },
+        $inc: { correctAnswers: 0, unanswered: 1 },
+      },
+      { upsert: !quizState.practiceId }
+    );
+    await updateUserSession(userId, { 'quizState.streak': 0 });
+    if (!quizState.practiceId) {
+      await checkAnswerAchievements(userId, {
+        username: quizState.username,
+        quizId,
+        isCorrect: false,
+      });
+    }
+
+    await safeDeleteMessage(bot, chatId, userSession.lastMessageId);
+
+    const resultMsg = await bot.telegram.sendMessage(
+      chatId,
+      `⏰ Time's up!\nThe correct answer was: ${formatCorrectAnswer(
+        questionData
+      )}\n\n🔗 Read full article: ${questionData.link}`,
+      { protect_content: true }
+    );
+
+    setTimeout(async () => {
+      await safeDeleteMessage(bot, chatId, resultMsg.message_id);
+    }, 2000);
+
+    await advanceQuiz(bot, chatId, userId, quiz, questionIndex);
+  } catch (error) {
+    console.error('[DEBUG] Error handling question timeout:', error);
+    await bot.telegram.sendMessage(
+      chatId,
+      'Sorry, there was an error. Please type /resume to continue your quiz.'
+    );
+  }
+};
+
+// Creates the attempt and sends the first question. Practice rounds get a
+// fresh practiceAttempts document each time.
+const startQuizAttempt = async (
+  bot,
+  chatId,
+  from,
+  quizId,
+  { practice = false, duel = null, daily = null } = {}
+) => {
+  const quiz = await getQuiz(quizId);
+  if (!quiz) {
+    throw new Error('Quiz not found');
+  }
+  // Both players of a duel answer the questions drawn for it, the daily
+  // question is an attempt of one question
+  const dailyQuestion =
+    daily && quiz.questions.find(question => question.id === daily.questionId);
+  if (daily && !dailyQuestion) {
+    throw new Error('Daily question not found');
+  }
+  const attemptOrder = duel
+    ? { questionOrder: duel.questionOrder, optionOrder: duel.optionOrder }
+    : createAttemptOrder(
+        dailyQuestion ? { ...quiz, questions: [dailyQuestion] } : quiz
+      );
+  // Duel rounds and daily questions are stored like practice rounds, so
+  // they never count towards the leaderboard, gems or prize draws
+  const practiceId = practice || duel || daily ? createPracticeId() : null;
+  const duelId = duel?.duelId || null;
+  const dailyDate = daily?.date || null;
+  await initQuizState(from.id, quizId, from.username, attemptOrder, {
+    practiceId,
+    duelId,
+    dailyDate,
+  });
+  await updateUserSession(from.id, {
+    currentQuizId: quizId,
+    currentQuestionIndex: 0,
+    lastMessageId: null,
+  });
+
+  console.log('[DEBUG] Session initialized:', {
+    userId: from.id,
+    currentQuizId: quizId,
+    currentQuestionIndex: 0,
+  });
+
+  if (practiceId) {
+    await mongoose.connection.collection('practiceAttempts').insertOne({
+      practiceId,
+      ...(duelId ? { duelId } : {}),
+      ...(dailyDate ? { dailyDate } : {}),
+      userId: from.id,
+      quizId: parseInt(quizId),
+      username: from.username || 'Unknown',
+      startedAt: new Date(),
+      correctAnswers: 0,
+      bonusPoints: 0,
+      unanswered: 0,
+      questionOrder: attemptOrder.questionOrder,
+      optionOrder: attemptOrder.optionOrder,
+    });
+  } else {
+    await mongoose.connection.collection('userQuiz').updateOne(
+      { userId: from.id, quizId: parseInt(quizId) },
+      {
+        $set: {
+          username: from.username || 'Unknown',
+          startedAt: new Date(),
+          // Drop anything left over from an attempt that was never finished
+          correctAnswers: 0,
+          bonusPoints: 0,
+          unanswered: 0,
+          // Stored with the attempt so the result can be audited later
+          questionOrder: attemptOrder.questionOrder,
+          optionOrder: attemptOrder.optionOrder,
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  // Send first question
+  await sendQuizQuestion(bot, chatId, quizId, 0, from.id);
+};
+
+// Re-sends the current question of an attempt in progress, keeping the
+// answers already given. Returns false when there is nothing to resume.
+const resumeQuizAttempt = async (bot, chatId, userId) => {
+  const userSession = await getUserSession(userId);
+  const quizState = userSession.quizState;
+  if (!quizState) {
+    return false;
+  }
+
+  const quiz = await getQuiz(quizState.quizId);
+  if (!quiz) {
+    throw new Error('Quiz not found');
+  }
+
+  const questionIndex = quizState.currentQuestion;
+  clearQuestionTimer(userId);
+  await safeDeleteMessage(bot, chatId, userSession.lastMessageId);
+
+  // Every question was answered but the results were never sent
+  if (questionIndex >= getAttemptLength(quiz, quizState)) {
+    await completeQuiz(bot, chatId, userId, quiz);
+    return true;
+  }
+
+  if (quizState.questionDeadline && Date.now() > quizState.questionDeadline) {
+    await handleQuestionTimeout(
+      bot,
+      chatId,
+      userId,
+      quizState.quizId,
+      questionIndex
+    );
+    return true;
+  }
+
+  await sendQuizQuestion(bot, chatId, quizState.quizId, questionIndex, userId);
+  return true;
+};
+
+// Checks and records one answer, whatever the question type: an option id,
+// a list of option ids (multi-select) or typed text. Called from button
+// presses and from text messages, so feedback goes through notify().
+const processAnswer = async (bot, ctx, { quizId, questionIndex, answer }) => {
+  const userId = ctx.from.id;
+  const chatId = ctx.chat.id;
+  const userSession = await getUserSession(userId);
+  const quizState = userSession.quizState;
+  const notify = text =>
+    ctx.callbackQuery
+      ? ctx.answerCbQuery(text)
+      : ctx.reply(text, { protect_content: true });
+
+  try {
+    console.log('[DEBUG] Processing answer:', {
+      userId,
+      quizId,
+      questionIndex,
+      answer,
+      quizState,
+    });
+
+    // Verify quiz state exists
+    if (!quizState) {
+      console.log('[DEBUG] No active quiz:', { userId });
+      await notify('No active quiz session. Please start a new quiz.');
+      return;
+    }
+
+    // Check if question was already answered
+    if (quizState.answeredQuestions.includes(questionIndex)) {
+      await notify('You have already answered this question!');
+      return;
+    }
+
+    // Verify current question matches
+    if (
+      quizState.quizId !== quizId ||
+      quizState.currentQuestion !== questionIndex
+    ) {
+      console.log('[DEBUG] State mismatch:', {
+        expected: {
+          quizId: quizState.quizId,
+          questionIndex: quizState.currentQuestion,
+        },
+        received: {
+          quizId,
+          questionIndex,
+        },
+      });
+      await notify(
+        'This question is no longer active. Type /resume to see your current question.'
+      );
+      return;
+    }
+
+    const quiz = await getQuiz(quizId);
+    if (!quiz) {
+      await notify('Sorry, this quiz is no longer available.');
+      return;
+    }
+
+    // The buttons stay visible after the deadline, so check it here too.
+    // Practice rounds may replay a closed quiz.
+    const unavailableReason =
+      !quizState.practiceId && getUnavailableReason(quiz);
+    if (unavailableReason) {
+      await notify(unavailableReason);
+      return;
+    }
+
+    // Timed questions: the button may still be visible after the deadline
+    if (quizState.questionDeadline && Date.now() > quizState.questionDeadline) {
+      await notify("⏰ Time's up for this question!");
+      await handleQuestionTimeout(bot, chatId, userId, quizId, questionIndex);
+      return;
+    }
+
+    // Mark question as answered immediately, a double tap or the timer may
+    // be racing this request
+    if (!(await claimQuestion(userId, quizId, questionIndex))) {
+      await notify('You have already answered this question!');
+      return;
+    }
+    clearQuestionTimer(userId);
+
+    const questionData = getAttemptQuestion(quiz, quizState, questionIndex);
+    if (!questionData) {
+      throw new Error('Question not found');
+    }
+    const isCorrect = checkAnswer(questionData, answer);
+    const bonusPoints = isCorrect
+      ? getSpeedBonus(
+          quiz,
+          questionData,
+          Date.now() - quizState.questionStartedAt
+        )
+      : 0;
+
+    const streak = isCorrect ? (quizState.streak || 0) + 1 : 0;
+
+    // Calculate score immediately after checking the answer
+    const { collection, filter } = getAttemptStore(
+      userId,
+      quizId,
+      quizState.practiceId
+    );
+    await collection.updateOne(
+      filter,
+      {
+        $set: {
+          username: ctx.from.username || 'Unknown',
+        },
+        $inc: {
+          correctAnswers: isCorrect ? 1 : 0,
+          bonusPoints: bonusPoints,
+        },
+        $max: { bestStreak: streak },
+      },
+      { upsert: !quizState.practiceId }
+    );
+    await updateUserSession(userId, { 'quizState.streak': streak });
+    if (!quizState.practiceId) {
+      await checkAnswerAchievements(userId, {
+        username: ctx.from.username,
+        quizId,
+        isCorrect,
+      });
+    }
+
+    // Delete the question message
+    await safeDeleteMessage(
+      bot,
+      chatId,
+      ctx.callbackQuery?.message?.message_id || userSession.lastMessageId
+    );
+
+    // Send result message
+    const resultMsg = await ctx.reply(
+      isCorrect
+        ? `✅ Correct answer! 🎉${
+            bonusPoints ? `\n⚡ Speed bonus: +${bonusPoints}` : ''
+          }\n\n🔗 Read full article: ${questionData.link}`
+        : `❌ Wrong answer!\nThe correct answer was: ${formatCorrectAnswer(
+            questionData
+          )}\n\n🔗 Read full article: ${questionData.link}`,
+      { protect_content: true }
+    );
+
+    // Delete result message after delay
+    setTimeout(async () => {
+      await safeDeleteMessage(bot, chatId, resultMsg.message_id);
+    }, 2000);
+
+    await advanceQuiz(bot, chatId, userId, quiz, questionIndex);
+
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery();
+    }
+  } catch (error) {
+    console.error('[DEBUG] Error processing answer:', error);
+    // The answers given so far are kept, /resume picks the attempt up again
+    await ctx.reply(
+      'Sorry, there was an error. Please type /resume to continue your quiz.'
+    );
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery();
+    }
+  }
+};
+
 // Setup action handlers
 const setupActionHandlers = bot => {
   // Quiz start action
@@ -140,39 +968,38 @@ const setupActionHandlers = bot => {
       const chatId = ctx.chat.id;
 
       console.log('[DEBUG] Starting quiz:', { quizId, userId, chatId });
+      await expireStaleAttempts();
 
       // Check if user has an active quiz state
-      const existingState = getQuizState(userId);
+      const existingState = await getQuizState(userId);
       if (existingState) {
         await ctx.answerCbQuery(
-          'Please finish your current quiz before starting a new one!'
+          'You already have a quiz in progress. Type /resume to continue it.'
         );
         return;
       }
 
-      if (await hasUserCompletedQuiz(userId)) {
-        await ctx.answerCbQuery('You have already completed this quiz!');
-        return;
-      }
-
-      const quiz = quizzes[quizId];
+      const quiz = await getQuiz(quizId);
       if (!quiz) {
         await ctx.reply('Sorry, this quiz is no longer available.');
         return;
       }
 
-      // Initialize new quiz state and session
-      initQuizState(userId, quizId);
-      const userSession = getUserSession(userId);
-      userSession.currentQuizId = quizId;
-      userSession.currentQuestionIndex = 0;
-      userSession.lastMessageId = null;
+      const { completed, lockedReason } = await getQuizProgress(userId, quiz);
+      if (completed) {
+        await ctx.answerCbQuery('You have already completed this quiz!');
+        return;
+      }
+      if (lockedReason) {
+        await ctx.answerCbQuery(lockedReason);
+        return;
+      }
 
-      console.log('[DEBUG] Session initialized:', {
-        userId,
-        currentQuizId: userSession.currentQuizId,
-        currentQuestionIndex: userSession.currentQuestionIndex,
-      });
+      const unavailableReason = getUnavailableReason(quiz);
+      if (unavailableReason) {
+        await ctx.answerCbQuery(unavailableReason);
+        return;
+      }
 
       // Delete the start message
       if (ctx.callbackQuery.message) {
@@ -183,201 +1010,243 @@ const setupActionHandlers = bot => {
         );
       }
 
-      // Send first question
-      await sendQuizQuestion(bot, chatId, quizId, 0, userId);
+      await startQuizAttempt(bot, chatId, ctx.from, quizId);
       await ctx.answerCbQuery();
     } catch (error) {
       console.error('[DEBUG] Error in start_quiz action:', error);
-      clearQuizState(ctx.from.id);
-      const userSession = getUserSession(ctx.from.id);
-      userSession.currentQuizId = null;
-      userSession.currentQuestionIndex = null;
+      await clearQuizState(ctx.from.id);
       await ctx.answerCbQuery('Error starting quiz. Please try again.');
     }
   });
 
-  // Quiz answer handling
-  bot.action(/q(\d+)_(\d+)_(\d+)_(\d+)/, async ctx => {
-    const userId = ctx.from.id;
-    const userSession = getUserSession(userId);
-    const chatId = ctx.chat.id;
-    const quizState = getQuizState(userId);
-
+  // Replays a completed quiz without touching its scored attempt
+  bot.action(/^practice_quiz_(\d+)$/, async ctx => {
     try {
-      const [_, rawQuizId, rawQuestionIndex, rawAnswerIndex] = ctx.match;
-      const quizId = parseInt(rawQuizId, 10);
-      const questionIndex = parseInt(rawQuestionIndex, 10);
-      const answerIndex = parseInt(rawAnswerIndex, 10);
-
-      console.log('[DEBUG] Processing answer:', {
-        userId,
-        quizId,
-        questionIndex,
-        answerIndex,
-        quizState,
-      });
+      const quizId = parseInt(ctx.match[1], 10);
+      const userId = ctx.from.id;
 
-      // Verify quiz state exists
-      if (!quizState) {
-        console.log('[DEBUG] No active quiz:', { userId });
+      if (await getQuizState(userId)) {
         await ctx.answerCbQuery(
-          'No active quiz session. Please start a new quiz.'
+          'You already have a quiz in progress. Type /resume to continue it.'
         );
         return;
       }
 
-      // Check if question was already answered
-      if (quizState.answeredQuestions.has(questionIndex)) {
-        await ctx.answerCbQuery('You have already answered this question!');
+      const quiz = await getQuiz(quizId);
+      if (!quiz) {
+        await ctx.answerCbQuery('Sorry, this quiz is no longer available.');
         return;
       }
 
-      // Verify current question matches
-      if (
-        quizState.quizId !== quizId ||
-        quizState.currentQuestion !== questionIndex
-      ) {
-        console.log('[DEBUG] State mismatch:', {
-          expected: {
-            quizId: quizState.quizId,
-            questionIndex: quizState.currentQuestion,
-          },
-          received: {
-            quizId,
-            questionIndex,
-          },
-        });
-        await ctx.answerCbQuery('Invalid quiz state. Please start a new quiz.');
+      const { completed } = await getQuizProgress(userId, quiz);
+      if (!completed) {
+        await ctx.answerCbQuery('Finish this quiz once before practising it.');
         return;
       }
 
-      const quiz = quizzes[quizId];
-      const questionData = quiz.questions[questionIndex];
-      const userAnswer = questionData.options[answerIndex];
-      const isCorrect = userAnswer === questionData.correct;
-
-      // Calculate score immediately after checking the answer
-      const userQuizCollection = mongoose.connection.collection('userQuiz');
-      await userQuizCollection.updateOne(
-        {
-          userId: userId,
-          quizId: quizId,
-        },
-        {
-          $set: {
-            username: ctx.from.username || 'Unknown',
-          },
-          $inc: {
-            correctAnswers: isCorrect ? 1 : 0,
-          },
-        },
-        { upsert: true }
+      await ctx.answerCbQuery();
+      await ctx.reply(
+        `🔁 Practice round: ${quiz.title}\nThis round won't change your score, gems or leaderboard position.`,
+        { protect_content: true }
       );
+      await startQuizAttempt(bot, ctx.chat.id, ctx.from, quizId, {
+        practice: true,
+      });
+    } catch (error) {
+      console.error('[DEBUG] Error in practice_quiz action:', error);
+      await clearQuizState(ctx.from.id);
+      await ctx.reply('Error starting the practice round. Please try again.');
+    }
+  });
 
-      // Mark question as answered immediately
-      quizState.answeredQuestions.add(questionIndex);
-      quizState.currentQuestion = questionIndex + 1;
+  // Duels: the challenged player accepts (and plays) or declines, and
+  // either player starts their round
+  bot.action(/^duel_(accept|decline|play)_([a-f0-9]+)$/, async ctx => {
+    try {
+      const [, choice, duelId] = ctx.match;
+      const userId = ctx.from.id;
+      await closeStaleDuels(bot.telegram);
 
-      // Delete the question message
-      if (ctx.callbackQuery.message) {
-        await safeDeleteMessage(
-          bot,
-          chatId,
-          ctx.callbackQuery.message.message_id
+      if (choice === 'decline') {
+        const duel = await declineDuel(duelId, userId);
+        if (!duel) {
+          await ctx.answerCbQuery('This duel is no longer open.');
+          return;
+        }
+        await ctx.answerCbQuery('Duel declined.');
+        await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+        await bot.telegram
+          .sendMessage(
+            duel.challenger.userId,
+            `${duel.opponent.username} declined your duel.`
+          )
+          .catch(error => {
+            console.error('[DEBUG] Error notifying challenger:', error);
+          });
+        return;
+      }
+
+      // Checked before accepting, so a busy player can accept later
+      if (await getQuizState(userId)) {
+        await ctx.answerCbQuery(
+          'You already have a quiz in progress. Type /resume to finish it first.'
         );
+        return;
+      }
+
+      if (choice === 'accept') {
+        const accepted = await acceptDuel(duelId, userId);
+        if (!accepted) {
+          await ctx.answerCbQuery('This duel is no longer open.');
+          return;
+        }
+        await bot.telegram
+          .sendMessage(
+            accepted.challenger.userId,
+            `⚔️ ${accepted.opponent.username} accepted your duel!`
+          )
+          .catch(error => {
+            console.error('[DEBUG] Error notifying challenger:', error);
+          });
       }
 
-      // Update session state
-      userSession.currentQuestionIndex = questionIndex + 1;
+      const duel = await claimDuelRound(duelId, userId);
+      if (!duel) {
+        await ctx.answerCbQuery(
+          'You have already played this duel, or it is not open yet.'
+        );
+        return;
+      }
 
-      // Send result message
-      const resultMsg = await ctx.reply(
-        isCorrect
-          ? `✅ Correct answer! 🎉\n\n🔗 Read full article: ${questionData.link}`
-          : `❌ Wrong answer!\nThe correct answer was: ${questionData.correct}\n\n🔗 Read full article: ${questionData.link}`,
+      await ctx.answerCbQuery();
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      const other =
+        duel.challenger.userId === userId ? duel.opponent : duel.challenger;
+      await ctx.reply(
+        `⚔️ Duel against ${other.username}: ${duel.questionOrder.length} questions. Most correct answers wins, ties go to the faster player. Good luck!`,
         { protect_content: true }
       );
+      await startQuizAttempt(bot, ctx.chat.id, ctx.from, duel.quizId, {
+        duel,
+      });
+    } catch (error) {
+      console.error('[DEBUG] Error in duel action:', error);
+      await clearQuizState(ctx.from.id);
+      await ctx.reply('Error starting the duel. Please try again.');
+    }
+  });
 
-      // Delete result message after delay
-      setTimeout(async () => {
-        await safeDeleteMessage(bot, chatId, resultMsg.message_id);
-      }, 2000);
-
-      // Send next question or complete quiz
-      if (questionIndex + 1 < quiz.questions.length) {
-        await sendQuizQuestion(bot, chatId, quizId, questionIndex + 1, userId);
-      } else {
-        // Quiz completion handling
-        const userQuiz = await userQuizCollection.findOne({
-          userId: parseInt(userId),
-          quizId: parseInt(quizId),
-        });
-
-        const totalQuestions = quiz.questions.length;
-        const correctAnswers = userQuiz?.correctAnswers || 0;
-        const scorePercentage = Math.round(
-          (correctAnswers / totalQuestions) * 100
-        );
-
-        const completionText = [
-          '🎉 *Quiz Completed\\!*',
-          '',
-          '📊 *Your Results:*',
-          `✓ Score: ${correctAnswers}/${totalQuestions} \\(${scorePercentage}%\\)`,
-          scorePercentage === 100
-            ? "🏆 Perfect Score\\! You're eligible for the prize draw\\!"
-            : 'Keep trying to get a perfect score\\!',
-          '',
-          '📋 *Available Commands:*',
-          '/start \\- Start a new quiz',
-          '/help \\- Show all available commands',
-          '/listquizzes \\- Show available quizzes',
-          '/leaderboard \\- View top 10 players',
-        ].join('\n');
-
-        await ctx.reply(completionText, {
-          parse_mode: 'MarkdownV2',
-          protect_content: true,
-        });
+  // Single choice and true/false answers
+  bot.action(/^q(\d+)_(\d+)_([a-z0-9]+)_(\d+)$/, async ctx => {
+    const [, rawQuizId, rawQuestionIndex, optionId] = ctx.match;
+    await processAnswer(bot, ctx, {
+      quizId: parseInt(rawQuizId, 10),
+      questionIndex: parseInt(rawQuestionIndex, 10),
+      answer: optionId,
+    });
+  });
 
-        // Final update with completion status
-        await userQuizCollection.updateOne(
-          {
-            userId: userId,
-            quizId: quizId,
-          },
-          {
-            $set: {
-              completed: true,
-              username: ctx.from.username || 'Unknown',
-              finalScore: correctAnswers,
-              totalQuestions: totalQuestions,
-            },
-          },
-          { upsert: true }
-        );
+  // Multi-select: toggling an option only updates the buttons
+  bot.action(/^m(\d+)_(\d+)_([a-z0-9]+)_(\d+)$/, async ctx => {
+    try {
+      const [, rawQuizId, rawQuestionIndex, optionId] = ctx.match;
+      const quizId = parseInt(rawQuizId, 10);
+      const questionIndex = parseInt(rawQuestionIndex, 10);
+      const currentState = await getQuizState(ctx.from.id);
 
-        // Clear both quiz state and session
-        clearQuizState(userId);
-        userSession.currentQuizId = null;
-        userSession.currentQuestionIndex = null;
-        userSession.lastMessageId = null;
+      if (
+        !currentState ||
+        currentState.quizId !== quizId ||
+        currentState.currentQuestion !== questionIndex ||
+        currentState.answeredQuestions.includes(questionIndex)
+      ) {
+        await ctx.answerCbQuery('This question is no longer active.');
+        return;
       }
 
+      const quizState = await toggleSelectedOption(ctx.from.id, optionId);
+
+      const quiz = await getQuiz(quizId);
+      const questionData = getAttemptQuestion(quiz, quizState, questionIndex);
+      await ctx.editMessageReplyMarkup(
+        buildAnswerKeyboard(
+          quizId,
+          questionIndex,
+          questionData,
+          ctx.from.id,
+          quizState.selectedOptions
+        ).reply_markup
+      );
       await ctx.answerCbQuery();
     } catch (error) {
-      console.error('[DEBUG] Error processing answer:', error);
-      clearQuizState(userId);
-      userSession.currentQuizId = null;
-      userSession.currentQuestionIndex = null;
-      userSession.lastMessageId = null;
-      await ctx.reply(
-        'Sorry, there was an error. Please type /start to begin again.'
-      );
+      console.error('[DEBUG] Error toggling option:', error);
       await ctx.answerCbQuery();
     }
   });
+
+  bot.action(/^ms(\d+)_(\d+)_(\d+)$/, async ctx => {
+    const [, rawQuizId, rawQuestionIndex] = ctx.match;
+    const quizState = await getQuizState(ctx.from.id);
+    if (quizState && !quizState.selectedOptions.length) {
+      await ctx.answerCbQuery('Select at least one option first.');
+      return;
+    }
+    await processAnswer(bot, ctx, {
+      quizId: parseInt(rawQuizId, 10),
+      questionIndex: parseInt(rawQuestionIndex, 10),
+      answer: quizState ? [...quizState.selectedOptions] : [],
+    });
+  });
+
+  // Numeric and free-text answers arrive as normal messages, read only from
+  // the chat the question was sent to. Otherwise a player's group chatter
+  // would count as their answer, and the reply would show the group the
+  // correct one.
+  bot.on('text', async (ctx, next) => {
+    const text = ctx.message.text.trim();
+    const quizState = text.startsWith('/')
+      ? null
+      : await getQuizState(ctx.from.id);
+    if (!quizState || !isQuestionChat(quizState, ctx.chat)) {
+      return next();
+    }
+
+    const quiz = await getQuiz(quizState.quizId);
+    const questionIndex = quizState.currentQuestion;
+    const questionData =
+      quiz && getAttemptQuestion(quiz, quizState, questionIndex);
+    if (
+      !questionData ||
+      !isTypedAnswer(questionData) ||
+      quizState.answeredQuestions.includes(questionIndex)
+    ) {
+      return next();
+    }
+
+    if (
+      getQuestionType(questionData) === QUESTION_TYPES.NUMERIC &&
+      parseNumber(text) === null
+    ) {
+      await ctx.reply('Please send a number, e.g. 42 or 3.5.', {
+        protect_content: true,
+      });
+      return;
+    }
+
+    await processAnswer(bot, ctx, {
+      quizId: quizState.quizId,
+      questionIndex,
+      answer: text,
+    });
+  });
   return bot;
 };
 
-module.exports = { setupActionHandlers, sendQuizQuestion };
+module.exports = {
+  setupActionHandlers,
+  sendQuizQuestion,
+  startQuizAttempt,
+  resumeQuizAttempt,
+  getQuizState,
+  closeStaleDuels,
+};
@@ -0,0 +1,548 @@
+// handlers/adminHandlers.js
+const { isAdmin, getCommandArgs } = require('../utils/helpers');
+const {
+  getQuiz,
+  createQuiz,
+  addQuestion,
+  updateQuestion,
+  updateQuizSettings,
+  publishQuiz,
+  validateQuestion,
+  toPlainQuestion,
+  getQuestionCount,
+  QUIZ_SETTINGS,
+  formatPrerequisites,
+} = require('../services/quizService');
+const {
+  isSupportedFile,
+  parseQuizFile,
+  exportQuiz,
+} = require('../services/quizImport');
+const {
+  QUESTION_TYPES,
+  getQuestionType,
+} = require('../services/questionTypes');
+const {
+  commitDraw,
+  revealDraw,
+  getEntrantListFile,
+  getDerivationFile,
+} = require('../services/prizeDraw');
+const { scheduleDailyQuestion } = require('../services/daily');
+const {
+  getQuizWizard,
+  setQuizWizard,
+  clearQuizWizard,
+} = require('../services/sessionManager');
+
+// Telegram allows bigger uploads, but a quiz file never needs this much
+const MAX_IMPORT_SIZE = 1024 * 1024;
+
+const KEEP_VALUE = '-';
+
+const formatQuestion = (question, index) =>
+  [
+    `Question ${index + 1}: ${question.question}`,
+    ...question.options.map(
+      (option, i) =>
+        `  ${i + 1}. ${option}${option === question.correct ? ' ✓' : ''}`
+    ),
+    `  Link: ${question.link}`,
+  ].join('\n');
+
+const promptForStep = (wizard, step) => {
+  const current = wizard.original;
+  const keepHint = current
+    ? `\n\nSend ${KEEP_VALUE} to keep the current value.`
+    : '';
+
+  switch (step) {
+    case 'title':
+      return 'Send the title of the new quiz.';
+    case 'question':
+      return current
+        ? `Current question:\n${current.question}${keepHint}`
+        : `Send the text of question ${
+            wizard.questionIndex + 1
+          } (or /done to finish).`;
+    case 'options':
+      return current
+        ? `Current options:\n${current.options.join('\n')}${keepHint}`
+        : 'Send the answer options, one per line.';
+    case 'correct':
+      return (
+        [
+          'Which option is correct? Send its number or its exact text.',
+          ...wizard.draft.options.map((option, i) => `${i + 1}. ${option}`),
+        ].join('\n') + keepHint
+      );
+    case 'link':
+      return current
+        ? `Current link:\n${current.link}${keepHint}`
+        : 'Send the link to the full article.';
+    default:
+      return '';
+  }
+};
+
+const parseCorrectAnswer = (text, options) => {
+  const number = parseInt(text, 10);
+  if (String(number) === text && options[number - 1]) {
+    return options[number - 1];
+  }
+  return options.find(option => option.toLowerCase() === text.toLowerCase());
+};
+
+const startQuestionStep = async (ctx, wizard) => {
+  wizard.step = 'question';
+  wizard.draft = wizard.original ? { ...wizard.original } : {};
+  await setQuizWizard(ctx.from.id, wizard);
+  await ctx.reply(promptForStep(wizard, 'question'));
+};
+
+// Saves the finished question and either loops back for the next one (new
+// questions) or closes the wizard (edits)
+const saveDraftQuestion = async (ctx, wizard) => {
+  const question = {
+    question: wizard.draft.question,
+    options: wizard.draft.options,
+    correct: wizard.draft.correct,
+    link: wizard.draft.link,
+    // Only set through imports, but keep them when a question is edited
+    ...(wizard.draft.timeLimit ? { timeLimit: wizard.draft.timeLimit } : {}),
+    ...(wizard.draft.tag ? { tag: wizard.draft.tag } : {}),
+    ...(wizard.draft.difficulty ? { difficulty: wizard.draft.difficulty } : {}),
+  };
+
+  if (wizard.mode === 'edit') {
+    await updateQuestion(wizard.quizId, wizard.questionIndex, question);
+    await clearQuizWizard(ctx.from.id);
+    await ctx.reply(
+      `Question ${wizard.questionIndex + 1} of quiz ${
+        wizard.quizId
+      } updated.\n\n${formatQuestion(question, wizard.questionIndex)}`
+    );
+    return;
+  }
+
+  const quiz = await addQuestion(wizard.quizId, question);
+  wizard.questionIndex = quiz.questions.length;
+  await ctx.reply(
+    `Question ${quiz.questions.length} saved to quiz ${wizard.quizId}.\n` +
+      `Publish it with /publishquiz ${wizard.quizId} when you are ready.`
+  );
+  await startQuestionStep(ctx, wizard);
+};
+
+const handleWizardInput = async (ctx, wizard, text) => {
+  const keep = wizard.original && text === KEEP_VALUE;
+
+  switch (wizard.step) {
+    case 'title': {
+      const quiz = await createQuiz({ title: text, createdBy: ctx.from.id });
+      await ctx.reply(
+        `Quiz ${quiz.quizId} "${quiz.title}" created as a draft. Players won't see it until you run /publishquiz ${quiz.quizId}.`
+      );
+      await startQuestionStep(ctx, {
+        mode: 'add',
+        quizId: quiz.quizId,
+        questionIndex: 0,
+      });
+      return;
+    }
+
+    case 'question':
+      wizard.draft.question = keep ? wizard.original.question : text;
+      wizard.step = 'options';
+      break;
+
+    case 'options': {
+      const options = keep
+        ? wizard.original.options
+        : text
+            .split('\n')
+            .map(option => option.trim())
+            .filter(Boolean);
+      if (options.length < 2) {
+        await ctx.reply('Please send at least two options, one per line.');
+        return;
+      }
+      wizard.draft.options = options;
+      wizard.step = 'correct';
+      break;
+    }
+
+    case 'correct': {
+      const correct = keep
+        ? wizard.original.correct
+        : parseCorrectAnswer(text, wizard.draft.options);
+      if (!correct || !wizard.draft.options.includes(correct)) {
+        await ctx.reply(
+          'That is not one of the options. Send the option number or its exact text.'
+        );
+        return;
+      }
+      wizard.draft.correct = correct;
+      wizard.step = 'link';
+      break;
+    }
+
+    case 'link': {
+      wizard.draft.link = keep ? wizard.original.link : text;
+      const errors = validateQuestion(wizard.draft);
+      if (errors.length) {
+        // Earlier steps are checked as they come in, so only the link is left
+        await ctx.reply(
+          `Question is not valid: ${errors.join(', ')}\n\n${promptForStep(
+            wizard,
+            'link'
+          )}`
+        );
+        return;
+      }
+      await saveDraftQuestion(ctx, wizard);
+      return;
+    }
+
+    default:
+      await clearQuizWizard(ctx.from.id);
+      return;
+  }
+
+  await setQuizWizard(ctx.from.id, wizard);
+  await ctx.reply(promptForStep(wizard, wizard.step));
+};
+
+// Wraps admin-only handlers with the permission check and error reply
+const adminOnly = (name, handler) => async ctx => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("You don't have permission to use this command.", {
+        protect_content: true,
+      });
+      return;
+    }
+    await handler(ctx);
+  } catch (error) {
+    console.error(`[DEBUG] Error in ${name} command:`, error);
+    await ctx.reply(`Error: ${error.message}`);
+  }
+};
+
+const setupAdminHandlers = bot => {
+  bot.command(
+    'newquiz',
+    adminOnly('newquiz', async ctx => {
+      const title = getCommandArgs(ctx).join(' ');
+      if (title) {
+        await handleWizardInput(ctx, { step: 'title' }, title);
+        return;
+      }
+      await setQuizWizard(ctx.from.id, { step: 'title' });
+      await ctx.reply(promptForStep({}, 'title'));
+    })
+  );
+
+  bot.command(
+    'addquestion',
+    adminOnly('addquestion', async ctx => {
+      const [rawQuizId] = getCommandArgs(ctx);
+      const quiz =
+        rawQuizId && (await getQuiz(rawQuizId, { includeDrafts: true }));
+      if (!quiz) {
+        await ctx.reply('Usage: /addquestion <quizId>');
+        return;
+      }
+      await startQuestionStep(ctx, {
+        mode: 'add',
+        quizId: quiz.quizId,
+        questionIndex: quiz.questions.length,
+      });
+    })
+  );
+
+  bot.command(
+    'editquestion',
+    adminOnly('editquestion', async ctx => {
+      const [rawQuizId, rawQuestionNumber] = getCommandArgs(ctx);
+      const quiz =
+        rawQuizId && (await getQuiz(rawQuizId, { includeDrafts: true }));
+      const questionIndex = parseInt(rawQuestionNumber, 10) - 1;
+      const original =
+        quiz?.questions[questionIndex] &&
+        toPlainQuestion(quiz.questions[questionIndex]);
+      if (!original) {
+        await ctx.reply('Usage: /editquestion <quizId> <questionNumber>');
+        return;
+      }
+      // The wizard only asks for options and one correct answer
+      if (getQuestionType(original) !== QUESTION_TYPES.SINGLE) {
+        await ctx.reply(
+          `Question ${questionIndex + 1} is a ${getQuestionType(
+            original
+          )} question. Only single choice questions can be edited here; use /exportquiz and import the fixed file instead.`
+        );
+        return;
+      }
+      await ctx.reply(`Editing:\n${formatQuestion(original, questionIndex)}`);
+      await startQuestionStep(ctx, {
+        mode: 'edit',
+        quizId: quiz.quizId,
+        questionIndex,
+        original,
+      });
+    })
+  );
+
+  bot.command(
+    'publishquiz',
+    adminOnly('publishquiz', async ctx => {
+      const [rawQuizId] = getCommandArgs(ctx);
+      if (!rawQuizId) {
+        await ctx.reply('Usage: /publishquiz <quizId>');
+        return;
+      }
+      const quiz = await publishQuiz(rawQuizId);
+      await clearQuizWizard(ctx.from.id);
+      const sampleNote =
+        getQuestionCount(quiz) < quiz.questions.length
+          ? ` Each player gets ${getQuestionCount(quiz)} of them at random.`
+          : '';
+      await ctx.reply(
+        `Quiz ${quiz.quizId} "${quiz.title}" is now live with ${quiz.questions.length} question(s).${sampleNote} Players can start it with /quiz_${quiz.quizId}.`
+      );
+    })
+  );
+
+  bot.command(
+    'setquiz',
+    adminOnly('setquiz', async ctx => {
+      const [rawQuizId, key, ...valueParts] = getCommandArgs(ctx);
+      const value = valueParts.join(' ');
+      if (!rawQuizId || !QUIZ_SETTINGS[key] || !value) {
+        await ctx.reply(
+          `Usage: /setquiz <quizId> <setting> <value|none>\nSettings: ${Object.keys(
+            QUIZ_SETTINGS
+          ).join(', ')}`
+        );
+        return;
+      }
+
+      const quiz = await updateQuizSettings(rawQuizId, { [key]: value });
+      await ctx.reply(
+        `Quiz ${quiz.quizId} "${quiz.title}": ${key} is now ${
+          quiz[key] instanceof Date
+            ? quiz[key].toISOString()
+            : key === 'prerequisites'
+            ? formatPrerequisites(quiz[key])
+            : quiz[key]
+        }`
+      );
+    })
+  );
+
+  bot.command(
+    'setdaily',
+    adminOnly('setdaily', async ctx => {
+      const [date, rawQuizId, rawQuestionNumber] = getCommandArgs(ctx);
+      if (!date || !rawQuizId || !rawQuestionNumber) {
+        await ctx.reply(
+          'Usage: /setdaily <YYYY-MM-DD> <quizId> <questionNumber>\nDays without one get a question drawn from the published quizzes.'
+        );
+        return;
+      }
+      const { quiz, question } = await scheduleDailyQuestion(
+        date,
+        rawQuizId,
+        rawQuestionNumber,
+        ctx.from.id
+      );
+      await ctx.reply(
+        `Daily question for ${date} set to quiz ${quiz.quizId}, question ${rawQuestionNumber}: ${question.question}`
+      );
+    })
+  );
+
+  bot.command(
+    'exportquiz',
+    adminOnly('exportquiz', async ctx => {
+      const [rawQuizId, rawFormat = 'json'] = getCommandArgs(ctx);
+      const format = rawFormat.toLowerCase();
+      const quiz =
+        rawQuizId && (await getQuiz(rawQuizId, { includeDrafts: true }));
+      if (!quiz || !['json', 'csv'].includes(format)) {
+        await ctx.reply('Usage: /exportquiz <quizId> [json|csv]');
+        return;
+      }
+
+      const { filename, content } = exportQuiz(quiz, format);
+      await ctx.replyWithDocument(
+        { source: Buffer.from(content, 'utf8'), filename },
+        { caption: `${quiz.title} (${quiz.questions.length} questions)` }
+      );
+    })
+  );
+
+  bot.command(
+    'draw',
+    adminOnly('draw', async ctx => {
+      const [rawQuizId, rawWinnerCount] = getCommandArgs(ctx);
+      if (!rawQuizId || !rawWinnerCount) {
+        await ctx.reply('Usage: /draw <quizId> <numberOfWinners>');
+        return;
+      }
+
+      const draw = await commitDraw({
+        quizId: rawQuizId,
+        winnerCount: Number(rawWinnerCount),
+        createdBy: ctx.from.id,
+      });
+      await ctx.reply(
+        [
+          `🎟 Prize draw #${draw.drawId} for quiz ${draw.quizId}`,
+          `Perfect scorers entered: ${draw.entrants.length}`,
+          `Winners to draw: ${draw.winnerCount}`,
+          '',
+          'Publish these hashes and the entrant list below before the reveal:',
+          `Entrants hash: ${draw.entrantsHash}`,
+          `Seed hash: ${draw.seedHash}`,
+          '',
+          `Run /revealdraw ${draw.drawId} to publish the seed and pick the winners.`,
+        ].join('\n')
+      );
+      const { filename, content } = getEntrantListFile(draw);
+      await ctx.replyWithDocument(
+        { source: Buffer.from(content, 'utf8'), filename },
+        {
+          caption: `Entrants of draw #${draw.drawId}: the sha256 of this file is the entrants hash`,
+        }
+      );
+    })
+  );
+
+  bot.command(
+    'revealdraw',
+    adminOnly('revealdraw', async ctx => {
+      const [rawDrawId] = getCommandArgs(ctx);
+      if (!rawDrawId) {
+        await ctx.reply('Usage: /revealdraw <drawId>');
+        return;
+      }
+
+      const draw = await revealDraw(rawDrawId);
+      await ctx.reply(
+        [
+          `🏆 Prize draw #${draw.drawId} for quiz ${draw.quizId}`,
+          '',
+          'Winners:',
+          ...draw.winners.map(
+            (winner, index) =>
+              `${index + 1}. ${winner.username} (TG ID: ${winner.userId})`
+          ),
+          '',
+          `Seed: ${draw.seed}`,
+          `Seed hash: ${draw.seedHash}`,
+          `Anyone can check the result with /verifydraw ${draw.drawId}.`,
+        ].join('\n')
+      );
+      const { filename, content } = getDerivationFile(draw);
+      await ctx.replyWithDocument(
+        { source: Buffer.from(content, 'utf8'), filename },
+        {
+          caption: `How draw #${draw.drawId} was decided, to publish with the winners`,
+        }
+      );
+    })
+  );
+
+  // Bulk import: an admin sends a .json or .csv file, optionally with the
+  // quiz title as caption, and gets back a draft quiz or a list of problems
+  bot.on('document', async (ctx, next) => {
+    const document = ctx.message.document;
+    if (!isAdmin(ctx.from.id) || !isSupportedFile(document.file_name)) {
+      return next();
+    }
+
+    try {
+      if (document.file_size > MAX_IMPORT_SIZE) {
+        await ctx.reply('That file is too large to import (max 1 MB).');
+        return;
+      }
+
+      const fileLink = await ctx.telegram.getFileLink(document.file_id);
+      const response = await fetch(fileLink.href);
+      if (!response.ok) {
+        throw new Error(`Download failed with status ${response.status}`);
+      }
+
+      const { title, settings, questions, errors } = parseQuizFile(
+        document.file_name,
+        await response.text()
+      );
+
+      if (errors.length) {
+        await ctx.reply(
+          [
+            `Import failed, nothing was saved. Please fix these ${errors.length} problem(s):`,
+            '',
+            ...errors.slice(0, 30),
+            errors.length > 30 ? `...and ${errors.length - 30} more` : '',
+          ].join('\n')
+        );
+        return;
+      }
+
+      const quiz = await createQuiz({
+        title: ctx.message.caption?.trim() || title,
+        createdBy: ctx.from.id,
+        questions,
+        settings,
+      });
+      await ctx.reply(
+        `Imported quiz ${quiz.quizId} "${quiz.title}" with ${questions.length} question(s) as a draft.\n` +
+          `Review it with /listquizzes and publish it with /publishquiz ${quiz.quizId}.`
+      );
+    } catch (error) {
+      console.error('[DEBUG] Error importing quiz file:', error);
+      await ctx.reply(`Error importing quiz: ${error.message}`);
+    }
+  });
+
+  bot.command(['done', 'cancel'], async ctx => {
+    const wizard = await getQuizWizard(ctx.from.id);
+    await clearQuizWizard(ctx.from.id);
+    if (!wizard) {
+      await ctx.reply('Nothing to finish.');
+      return;
+    }
+    await ctx.reply(
+      wizard.quizId
+        ? `Wizard closed. Quiz ${wizard.quizId} keeps every saved question.`
+        : 'Wizard closed.'
+    );
+  });
+
+  // Wizard replies. Must stay after the commands so they still take priority.
+  // Only admins can have a wizard, so players' messages skip the lookup.
+  bot.on('text', async (ctx, next) => {
+    const text = ctx.message.text.trim();
+    if (text.startsWith('/') || !isAdmin(ctx.from.id)) {
+      return next();
+    }
+    const wizard = await getQuizWizard(ctx.from.id);
+    if (!wizard) {
+      return next();
+    }
+
+    try {
+      await handleWizardInput(ctx, wizard, text);
+    } catch (error) {
+      console.error('[DEBUG] Error in quiz wizard:', error);
+      await ctx.reply(`Error: ${error.message}`);
+    }
+  });
+
+  return bot;
+};
+
+module.exports = { setupAdminHandlers };
@@ -1,9 +1,76 @@
 // handlers/commandHandlers.js
-const { escapeMarkdown } = require('../utils/helpers');
-const { getLatestQuizId } = require('../utils/helpers');
-const { hasUserCompletedQuiz } = require('../services/database');
-const { sendQuizQuestion } = require('../handlers/actionHandlers');
-const { quizzes } = require('../config/quizData');
+const {
+  escapeMarkdown,
+  isAdmin,
+  isGroupAdmin,
+  formatDate,
+  formatTimeUntil,
+  formatDuration,
+  getCommandArgs,
+} = require('../utils/helpers');
+const {
+  startQuizAttempt,
+  resumeQuizAttempt,
+  getQuizState,
+  closeStaleDuels,
+} = require('../handlers/actionHandlers');
+const {
+  getQuiz,
+  listQuizzes,
+  getQuestionCount,
+  getQuizAvailability,
+  getUnavailableReason,
+  QUIZ_STATUS,
+  QUIZ_AVAILABILITY,
+} = require('../services/quizService');
+const {
+  LEADERBOARD_PERIODS,
+  getPlayerStanding,
+} = require('../services/leaderboard');
+const {
+  buildLeaderboardMessage,
+  buildLeaderboardCard,
+  buildQuizLeaderboardMessage,
+  buildPinnedLeaderboardText,
+  getLeaderboardScope,
+} = require('../handlers/leaderboardMessages');
+const {
+  isGroupChat,
+  recordGroupMember,
+  removeGroupMember,
+  savePinnedLeaderboard,
+} = require('../services/groups');
+const { getGemRule, getGemBalance } = require('../services/gems');
+const {
+  findPlayerByUsername,
+  getDuelQuizzes,
+  createDuel,
+  deleteDuel,
+  getDuelBoard,
+} = require('../services/duels');
+const {
+  TEAM_RANKINGS,
+  TEAM_NAME_LENGTH,
+  CREATE_TEAM_ERRORS,
+  getTeamByCode,
+  getTeamForUser,
+  createTeam,
+  joinTeam,
+  leaveTeam,
+  getTeamBoard,
+} = require('../services/teams');
+const { ACHIEVEMENTS, getBadges } = require('../services/achievements');
+const { verifyDraw, getDerivationFile } = require('../services/prizeDraw');
+const {
+  expireStaleAttempts,
+  getLastExpiredAttempt,
+} = require('../services/attempts');
+const {
+  getCompletedAttempts,
+  getLockedReason,
+  getQuizProgress,
+  getNextQuiz,
+} = require('../services/progression');
 const mongoose = require('mongoose');
 const config = require('../config/default');
 const wsManager = require('../services/websocketManager');
@@ -22,7 +89,94 @@ const safeDeleteMessage = async (ctx, messageId) => {
   }
 };
 
+const PERIOD_ALIASES = {
+  today: 'day',
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  alltime: 'all',
+};
+
+// The quiz an invite link preselects, from a /start quiz_<id> payload.
+// Returns { quiz }, or { reason } when the player can't take it.
+const getInvitedQuiz = async (userId, payload) => {
+  const quizId = parseInt(payload.slice('quiz_'.length), 10);
+  const quiz = quizId ? await getQuiz(quizId) : null;
+  if (!quiz) {
+    return { reason: 'Sorry, this quiz is not available.' };
+  }
+  if (getQuizAvailability(quiz).state === QUIZ_AVAILABILITY.CLOSED) {
+    return { reason: getUnavailableReason(quiz) };
+  }
+
+  const { completed, lockedReason } = await getQuizProgress(userId, quiz);
+  if (completed) {
+    return {
+      reason: `You have already completed ${quiz.title}. Check /listquizzes for the others!`,
+    };
+  }
+  if (lockedReason) {
+    return { reason: `🔐 ${lockedReason}` };
+  }
+  return { quiz };
+};
+
+// Sends a period's leaderboard as an image card, or as text when cards are
+// switched off or the image could not be sent
+const replyWithLeaderboard = async (ctx, period) => {
+  const scope = getLeaderboardScope(ctx.chat);
+  if (config.cards.enabled) {
+    try {
+      const { image, caption, keyboard } = await buildLeaderboardCard(
+        period,
+        scope
+      );
+      await ctx.replyWithPhoto(
+        { source: image, filename: 'leaderboard.png' },
+        {
+          caption,
+          parse_mode: 'MarkdownV2',
+          ...keyboard,
+          protect_content: true,
+        }
+      );
+      return;
+    } catch (error) {
+      console.error('[DEBUG] Error sending leaderboard card:', error);
+    }
+  }
+
+  const { text, keyboard } = await buildLeaderboardMessage(period, scope);
+  await ctx.reply(text, {
+    parse_mode: 'MarkdownV2',
+    ...keyboard,
+    protect_content: true,
+  });
+};
+
 const setupCommandHandlers = bot => {
+  // Remember who is active in which group, for the group leaderboards
+  bot.use(async (ctx, next) => {
+    if (isGroupChat(ctx.chat)) {
+      try {
+        const leftMember = ctx.message?.left_chat_member;
+        if (leftMember) {
+          await removeGroupMember(ctx.chat.id, leftMember.id);
+        }
+        const members = [
+          ...(ctx.message?.new_chat_members || []),
+          ...(ctx.from && !leftMember ? [ctx.from] : []),
+        ];
+        for (const member of members.filter(member => !member.is_bot)) {
+          await recordGroupMember(ctx.chat.id, member);
+        }
+      } catch (error) {
+        console.error('[DEBUG] Error tracking group member:', error);
+      }
+    }
+    return next();
+  });
+
   bot.command('start', async ctx => {
     try {
       const userId = ctx.from.id;
@@ -37,21 +191,59 @@ const setupCommandHandlers = bot => {
         );
       }
 
-      const hasCompleted = await hasUserCompletedQuiz(userId);
-      if (hasCompleted) {
-        await ctx.reply('You have already participated in this quiz!', {
-          protect_content: true,
-        });
+      await expireStaleAttempts();
+      if (await getQuizState(userId)) {
+        await ctx.reply(
+          'You have a quiz in progress. Type /resume to continue it.',
+          { protect_content: true }
+        );
         return;
       }
 
+      // Invite links shared in inline mode open /start quiz_<id>, otherwise
+      // it's the next quiz this player has unlocked and not completed yet
+      const [payload] = getCommandArgs(ctx);
+      let quiz;
+      if (payload?.startsWith('quiz_')) {
+        const invite = await getInvitedQuiz(userId, payload);
+        if (invite.reason) {
+          await ctx.reply(invite.reason, { protect_content: true });
+          return;
+        }
+        quiz = invite.quiz;
+      } else {
+        quiz = await getNextQuiz(userId);
+      }
+      if (!quiz) {
+        const hasCompleted =
+          Object.keys(await getCompletedAttempts(userId)).length > 0;
+        await ctx.reply(
+          hasCompleted
+            ? 'You have completed every quiz available to you. Check /listquizzes and come back for the next one!'
+            : 'There are no quizzes open right now. Check back soon!',
+          { protect_content: true }
+        );
+        return;
+      }
+
+      const { state, opensAt, closesAt } = getQuizAvailability(quiz);
+      const deadlineText = closesAt
+        ? `You have until ${escapeMarkdown(
+            formatDate(closesAt)
+          )}, to get a perfect score and be entered into the drawing pool to win 50 \\$SUI tokens\\!`
+        : 'Get a perfect score to be entered into the drawing pool to win 50 \\$SUI tokens\\!';
+      const opensText =
+        state === QUIZ_AVAILABILITY.UPCOMING
+          ? `The quiz opens on ${escapeMarkdown(formatDate(opensAt))}\\. `
+          : '';
+
       const welcomeMessage = `
   🎮 *Welcome to the Quiz Bot\\!*
   
   Seekers, have you been following our news and Alpha recently?
-  Let's test that with our first Trivia Quiz\\!
+  Let's test that with our ${escapeMarkdown(quiz.title)}\\!
   
-  You have until Monday, October 14th, to get a perfect score and be entered into the drawing pool to win 50 \\$SUI tokens\\!
+  ${opensText}${deadlineText}
   Good luck, Seekers, and don't forget to follow us on X and Telegram to stay updated on our upcoming events\\! \\#News2Earn
       `.trim();
 
@@ -69,7 +261,7 @@ const setupCommandHandlers = bot => {
               [
                 {
                   text: '🎮 Start Quiz',
-                  callback_data: 'start_quiz_1',
+                  callback_data: `start_quiz_${quiz.quizId}`,
                 },
               ],
             ],
@@ -80,7 +272,7 @@ const setupCommandHandlers = bot => {
       if (wsManager.isConnected(userId)) {
         wsManager.sendToUser(userId, {
           type: 'quiz_welcome',
-          quizId: 1,
+          quizId: quiz.quizId,
           messageId: startMessage.message_id,
         });
       }
@@ -95,6 +287,37 @@ const setupCommandHandlers = bot => {
     }
   });
 
+  // Picks up an interrupted attempt where the player left off
+  bot.command('resume', async ctx => {
+    try {
+      const userId = ctx.from.id;
+      await expireStaleAttempts();
+
+      if (await resumeQuizAttempt(bot, ctx.chat.id, userId)) {
+        return;
+      }
+
+      const expiredAttempt = await getLastExpiredAttempt(userId);
+      const quiz = expiredAttempt && (await getQuiz(expiredAttempt.quizId));
+      await ctx.reply(
+        expiredAttempt
+          ? `Your attempt at ${quiz?.title || 'the quiz'} expired after ${
+              config.attempts.expiryHours
+            } hours and was scored ${expiredAttempt.finalScore}/${
+              expiredAttempt.totalQuestions
+            }.`
+          : 'You have no quiz in progress. Type /start to begin one.',
+        { protect_content: true }
+      );
+    } catch (error) {
+      console.error('[DEBUG] Error in resume command:', error);
+      await ctx.reply(
+        'Sorry, your quiz could not be resumed. Please try again later.',
+        { protect_content: true }
+      );
+    }
+  });
+
   // Help Command
   bot.command('help', async ctx => {
     try {
@@ -104,9 +327,25 @@ const setupCommandHandlers = bot => {
         '🤖 *Available Commands:*',
         '',
         '/start \\- Start the bot and get quiz options',
+        '/resume \\- Continue an interrupted quiz',
         '/help \\- Show this help message',
         '/listquizzes \\- Show available quizzes',
-        '/leaderboard \\- View top 10 players',
+        '/leaderboard \\[day\\|week\\|month\\|season\\|quizId\\] \\- View top 10 players',
+        '/gems \\- Show your gem balance',
+        '/me \\- Show your rank, percentile and results',
+        "/daily \\- Answer today's question, /daily on\\|off for a daily reminder",
+        '/dailyboard \\- View the daily question leaderboard',
+        '/duel @username \\[quizId\\] \\- Challenge another player to a duel',
+        '/duelboard \\- View the duel ranking',
+        '/createteam \\<name\\> \\- Start a team and get its invite code',
+        '/jointeam \\<code\\> \\- Join a team',
+        '/leaveteam \\- Leave your team',
+        '/teamboard \\[average\\|total\\] \\- View the team leaderboard',
+        '/verifydraw \\<drawId\\> \\- Check the result of a prize draw',
+        '',
+        `💬 Share in any chat by typing @${escapeMarkdown(
+          ctx.botInfo.username
+        )} myscore, leaderboard or quiz \\<quizId\\>`,
       ];
 
       // Admin commands
@@ -114,6 +353,20 @@ const setupCommandHandlers = bot => {
         '',
         '👑 *Admin Commands:*',
         '/currentleaderboard \\- View detailed leaderboard with user IDs',
+        '/pinleaderboard \\[day\\|week\\|month\\|season\\] \\- Pin a self\\-updating leaderboard in a group',
+        '/livequiz \\<quizId\\> \\- Play a quiz live with everyone in a group',
+        '/stoplivequiz \\- End the live quiz running in a group',
+        '/setdaily \\<YYYY\\-MM\\-DD\\> \\<quizId\\> \\<n\\> \\- Schedule question n of a quiz as the daily question',
+        '/newquiz \\- Create a draft quiz step by step',
+        '/addquestion \\<quizId\\> \\- Add a question to a quiz',
+        '/editquestion \\<quizId\\> \\<n\\> \\- Edit question n of a quiz',
+        '/publishquiz \\<quizId\\> \\- Make a draft quiz visible to players',
+        '/setquiz \\<quizId\\> \\<setting\\> \\<value\\> \\- Change quiz settings such as closesAt or gemThreshold',
+        '/cancel \\- Stop the quiz wizard',
+        '/exportquiz \\<quizId\\> \\[json\\|csv\\] \\- Download a quiz as a file',
+        'Send a \\.json or \\.csv file to import it as a draft quiz',
+        '/draw \\<quizId\\> \\<winners\\> \\- Commit to a prize draw among perfect scorers',
+        '/revealdraw \\<drawId\\> \\- Reveal the seed and winners of a draw',
       ];
 
       // Combine commands based on user role
@@ -136,24 +389,15 @@ const setupCommandHandlers = bot => {
   bot.command('listquizzes', async ctx => {
     try {
       const userId = ctx.from.id;
-      const userQuizCollection = mongoose.connection.collection('userQuiz');
+      // Admins also see drafts so they can check their work before publishing
+      const quizzes = await listQuizzes({ includeDrafts: isAdmin(userId) });
 
       console.log('[DEBUG] Getting quiz list for user:', userId);
 
       // Retrieve completed quizzes for the user with scores
-      const completedQuizzes = await userQuizCollection
-        .find({
-          userId: parseInt(userId),
-          completed: true,
-        })
-        .toArray();
-
-      const completedQuizMap = completedQuizzes.reduce((acc, quiz) => {
-        acc[quiz.quizId] = quiz;
-        return acc;
-      }, {});
+      const completedQuizMap = await getCompletedAttempts(userId);
 
-      console.log('[DEBUG] Completed quizzes:', completedQuizzes);
+      console.log('[DEBUG] Completed quizzes:', completedQuizMap);
 
       // Initialize quiz list message
       let quizList = '📚 *Available Quizzes*\n\n';
@@ -164,37 +408,83 @@ const setupCommandHandlers = bot => {
       };
 
       // Iterate over quizzes and format list with completion status and scores
-      for (const [quizId, quiz] of Object.entries(quizzes)) {
-        const completedQuiz = completedQuizMap[parseInt(quizId)];
+      const now = Date.now();
+      for (const quiz of quizzes) {
+        const quizId = quiz.quizId;
+        const { state, opensAt, closesAt } = getQuizAvailability(quiz, now);
+        const completedQuiz = completedQuizMap[quizId];
         const isCompleted = !!completedQuiz;
         const title = escapeSpecialChars(quiz.title);
+        const lockedReason = getLockedReason(quiz, completedQuizMap, quizzes);
 
-        if (isCompleted) {
+        if (quiz.status === QUIZ_STATUS.DRAFT) {
+          quizList += `📝 Quiz ${quizId}\\. ${title}\n`;
+          quizList += `   Status: Draft \\(${quiz.questions.length} questions\\)\n\n`;
+        } else if (isCompleted) {
           // Show completed quiz with score
           const score =
             completedQuiz.correctAnswers || completedQuiz.finalScore || 0;
           const totalQuestions =
-            completedQuiz.totalQuestions || quiz.questions.length;
+            completedQuiz.totalQuestions || getQuestionCount(quiz);
           const scorePercentage = Math.round((score / totalQuestions) * 100);
 
           quizList += `✅ Quiz ${quizId}\\. ${title}\n`;
           quizList += `   Score: ${score}/${totalQuestions} \\(${scorePercentage}%\\)\n\n`;
+        } else if (state === QUIZ_AVAILABILITY.UPCOMING) {
+          quizList += `⏳ Quiz ${quizId}\\. ${title}\n`;
+          quizList += `   Status: Opens in ${formatTimeUntil(
+            opensAt.getTime() - now
+          )}\n\n`;
+        } else if (state === QUIZ_AVAILABILITY.CLOSED) {
+          quizList += `🔒 Quiz ${quizId}\\. ${title}\n`;
+          quizList += `   Status: Closed\n\n`;
+        } else if (lockedReason) {
+          quizList += `🔐 Quiz ${quizId}\\. ${title}\n`;
+          quizList += `   Locked: ${escapeSpecialChars(lockedReason)}\n\n`;
         } else {
           // Show available quiz
           quizList += `🔸 Quiz ${quizId}\\. ${title}\n`;
-          quizList += `   Status: Available\n\n`;
+          quizList += closesAt
+            ? `   Status: Available \\(closes in ${formatTimeUntil(
+                closesAt.getTime() - now
+              )}\\)\n\n`
+            : `   Status: Available\n\n`;
         }
       }
 
-      // Add inline keyboard buttons for incomplete quizzes
-      const buttons = Object.entries(quizzes)
-        .filter(([quizId]) => !completedQuizMap[parseInt(quizId)])
-        .map(([quizId, quiz]) => [
-          Markup.button.callback(
-            `Start Quiz ${quizId}`,
-            `start_quiz_${quizId}`
-          ),
-        ]);
+      // One row per published quiz: start it (or practise it once
+      // completed) and open its own leaderboard
+      const buttons = quizzes
+        .filter(quiz => quiz.status === QUIZ_STATUS.PUBLISHED)
+        .map(quiz => {
+          const canStart =
+            !completedQuizMap[quiz.quizId] &&
+            !getLockedReason(quiz, completedQuizMap) &&
+            getQuizAvailability(quiz, now).state === QUIZ_AVAILABILITY.OPEN;
+          return [
+            ...(canStart
+              ? [
+                  Markup.button.callback(
+                    `Start Quiz ${quiz.quizId}`,
+                    `start_quiz_${quiz.quizId}`
+                  ),
+                ]
+              : []),
+            // Completed quizzes can be replayed without affecting the score
+            ...(completedQuizMap[quiz.quizId]
+              ? [
+                  Markup.button.callback(
+                    `🔁 Practice Quiz ${quiz.quizId}`,
+                    `practice_quiz_${quiz.quizId}`
+                  ),
+                ]
+              : []),
+            Markup.button.callback(
+              `🏆 Quiz ${quiz.quizId} Ranking`,
+              `lbq_${quiz.quizId}`
+            ),
+          ];
+        });
 
       // Send message with inline keyboard
       await ctx.reply(quizList, {
@@ -215,128 +505,737 @@ const setupCommandHandlers = bot => {
   // Leaderboard command with quiz details
   bot.command('leaderboard', async ctx => {
     try {
-      console.log('[DEBUG] Fetching leaderboard data...');
+      const [rawPeriod = 'all'] = getCommandArgs(ctx);
 
-      const userQuizCollection = mongoose.connection.collection('userQuiz');
+      // /leaderboard <quizId> ranks a single quiz
+      if (/^\d+$/.test(rawPeriod)) {
+        await expireStaleAttempts();
+        const quiz = await getQuiz(rawPeriod);
+        if (!quiz) {
+          await ctx.reply(`Quiz ${rawPeriod} not found.`, {
+            protect_content: true,
+          });
+          return;
+        }
+        const { text, keyboard } = await buildQuizLeaderboardMessage(
+          quiz,
+          getLeaderboardScope(ctx.chat)
+        );
+        await ctx.reply(text, {
+          parse_mode: 'MarkdownV2',
+          ...keyboard,
+          protect_content: true,
+        });
+        return;
+      }
 
-      // Enhanced aggregation pipeline
-      const leaderboard = await userQuizCollection
-        .aggregate([
-          {
-            $match: { completed: true },
-          },
-          {
-            $sort: { score: -1 }, // Sort by individual quiz scores
-          },
-          {
-            $group: {
-              _id: '$userId',
-              username: { $first: '$username' },
-              totalScore: { $sum: '$correctAnswers' },
-              quizzes: {
-                $push: {
-                  quizId: '$quizId',
-                  score: '$correctAnswers',
-                  totalQuestions: '$totalQuestions',
+      const period =
+        PERIOD_ALIASES[rawPeriod.toLowerCase()] || rawPeriod.toLowerCase();
+      if (!LEADERBOARD_PERIODS.includes(period)) {
+        await ctx.reply(
+          `Usage: /leaderboard [${LEADERBOARD_PERIODS.join('|')}|<quizId>]`,
+          { protect_content: true }
+        );
+        return;
+      }
+
+      console.log('[DEBUG] Fetching leaderboard data...', { period });
+      await expireStaleAttempts();
+
+      await replyWithLeaderboard(ctx, period);
+
+      console.log('[DEBUG] Leaderboard sent successfully');
+    } catch (error) {
+      console.error('[DEBUG] Leaderboard error:', error);
+      await ctx.reply(
+        'Sorry, there was an error fetching the leaderboard. Please try again later.'
+      );
+    }
+  });
+
+  // Ranking buttons in /listquizzes
+  bot.action(/^lbq_(\d+)$/, async ctx => {
+    try {
+      const quiz = await getQuiz(ctx.match[1]);
+      if (!quiz) {
+        await ctx.answerCbQuery('Sorry, this quiz is no longer available.');
+        return;
+      }
+
+      const { text, keyboard } = await buildQuizLeaderboardMessage(
+        quiz,
+        getLeaderboardScope(ctx.chat)
+      );
+      await ctx.reply(text, {
+        parse_mode: 'MarkdownV2',
+        ...keyboard,
+        protect_content: true,
+      });
+      await ctx.answerCbQuery();
+    } catch (error) {
+      console.error('[DEBUG] Quiz leaderboard error:', error);
+      await ctx.answerCbQuery('Could not load that leaderboard.');
+    }
+  });
+
+  // Period buttons under the leaderboard redraw it in place
+  bot.action(/^lb_([a-z]+)$/, async ctx => {
+    try {
+      const period = ctx.match[1];
+      if (!LEADERBOARD_PERIODS.includes(period)) {
+        await ctx.answerCbQuery();
+        return;
+      }
+
+      // Image leaderboards swap their image, text ones (sent with cards off,
+      // or from the quiz ranking) their text
+      const scope = getLeaderboardScope(ctx.chat);
+      const edit = ctx.callbackQuery.message?.photo
+        ? buildLeaderboardCard(period, scope).then(
+            ({ image, caption, keyboard }) =>
+              ctx.editMessageMedia(
+                {
+                  type: 'photo',
+                  media: { source: image, filename: 'leaderboard.png' },
+                  caption,
+                  parse_mode: 'MarkdownV2',
                 },
-              },
-              quizCount: { $sum: 1 },
-            },
-          },
-          {
-            $sort: { totalScore: -1 },
-          },
-          {
-            $limit: 10,
-          },
-        ])
-        .toArray();
+                keyboard
+              )
+          )
+        : buildLeaderboardMessage(period, scope).then(({ text, keyboard }) =>
+            ctx.editMessageText(text, {
+              parse_mode: 'MarkdownV2',
+              ...keyboard,
+            })
+          );
+      await edit.catch(error => {
+        // Pressing the period that is already shown changes nothing
+        if (!error.description?.includes('message is not modified')) {
+          throw error;
+        }
+      });
+      await ctx.answerCbQuery();
+    } catch (error) {
+      console.error('[DEBUG] Leaderboard period error:', error);
+      await ctx.answerCbQuery('Could not load that leaderboard.');
+    }
+  });
 
-      console.log('[DEBUG] Leaderboard raw data:', leaderboard);
+  // Pins a leaderboard of the group's members that updates itself whenever
+  // one of them completes a quiz
+  bot.command('pinleaderboard', async ctx => {
+    try {
+      if (!isGroupChat(ctx.chat)) {
+        await ctx.reply('Use /pinleaderboard in a group chat.');
+        return;
+      }
 
-      if (!leaderboard || leaderboard.length === 0) {
+      if (!(await isGroupAdmin(ctx))) {
+        await ctx.reply('Only group admins can pin the leaderboard.');
+        return;
+      }
+
+      const [rawPeriod = 'all'] = getCommandArgs(ctx);
+      const period =
+        PERIOD_ALIASES[rawPeriod.toLowerCase()] || rawPeriod.toLowerCase();
+      if (!LEADERBOARD_PERIODS.includes(period)) {
         await ctx.reply(
-          '📊 *No quiz results yet\\!*\n\nBe the first to complete a quiz and make it to the leaderboard\\! Use /start to begin\\.',
-          {
-            parse_mode: 'MarkdownV2',
-            protect_content: true,
-          }
+          `Usage: /pinleaderboard [${LEADERBOARD_PERIODS.join('|')}]`
         );
         return;
       }
 
-      // Format leaderboard message with quiz details
-      let message = '🏆 *QUIZ LEADERBOARD* 🏆\n\n';
+      await expireStaleAttempts();
+      const message = await ctx.reply(
+        await buildPinnedLeaderboardText(ctx.chat.id, period),
+        { parse_mode: 'MarkdownV2' }
+      );
+      await ctx.pinChatMessage(message.message_id, {
+        disable_notification: true,
+      });
 
-      for (let i = 0; i < leaderboard.length; i++) {
-        const entry = leaderboard[i];
-        const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '🎯';
-        const position = `${i + 1}`.padStart(2, ' ');
-        const username = entry.username
-          ? escapeMarkdown(entry.username)
-          : 'Anonymous';
+      const previous = await savePinnedLeaderboard(
+        ctx.chat.id,
+        message.message_id,
+        period
+      );
+      if (previous && previous.messageId !== message.message_id) {
+        await ctx.unpinChatMessage(previous.messageId).catch(error => {
+          console.log(
+            '[DEBUG] Could not unpin old leaderboard:',
+            error.description
+          );
+        });
+      }
+    } catch (error) {
+      console.error('[DEBUG] Error pinning leaderboard:', error);
+      await ctx.reply(
+        'Could not pin the leaderboard. Make sure the bot is an admin allowed to pin messages.'
+      );
+    }
+  });
 
-        message += `${medal} ${position}\\. ${username}\n`;
-        message += `    Total Score: ${entry.totalScore} points\n`;
-        message += `    Completed Quizzes: ${entry.quizCount}\n`;
+  // /duel @username [quizId], or /duel [quizId] in reply to a message
+  bot.command('duel', async ctx => {
+    try {
+      await closeStaleDuels(ctx.telegram);
+      const args = getCommandArgs(ctx);
+      const repliedTo = ctx.message.reply_to_message?.from;
+      let opponent = null;
+      let quizArg = null;
 
-        // Add details for each completed quiz
-        entry.quizzes.forEach((quiz, index) => {
-          const quizTitle =
-            quizzes[quiz.quizId]?.title || `Quiz ${quiz.quizId}`;
-          const scorePercent = Math.round(
-            (quiz.score / quiz.totalQuestions) * 100
+      if (repliedTo && !repliedTo.is_bot) {
+        opponent = repliedTo;
+        [quizArg] = args;
+      } else if (args[0]?.startsWith('@')) {
+        opponent = await findPlayerByUsername(args[0]);
+        if (!opponent) {
+          await ctx.reply(
+            `I don't know ${args[0]} yet. They need to play a quiz or use the bot in a group first.`
           );
-          message += `    ${index + 1}\\. ${escapeMarkdown(quizTitle)}: ${
-            quiz.score
-          }/${quiz.totalQuestions} \\(${scorePercent}%\\)\n`;
-        });
+          return;
+        }
+        quizArg = args[1];
+      } else {
+        await ctx.reply(
+          'Usage: /duel @username [quizId], or reply to a message with /duel [quizId]'
+        );
+        return;
+      }
+
+      const opponentId = opponent.userId ?? opponent.id;
+      if (opponentId === ctx.from.id) {
+        await ctx.reply("You can't duel yourself.");
+        return;
+      }
+
+      // The questions come from the chosen quiz, or from a random one. Only
+      // closed quizzes and quizzes both players completed can be used.
+      const quizzes = await listQuizzes();
+      const duelQuizzes = await getDuelQuizzes(quizzes, [
+        ctx.from.id,
+        opponentId,
+      ]);
+      const quiz = quizArg
+        ? quizzes.find(item => item.quizId === parseInt(quizArg, 10))
+        : duelQuizzes[Math.floor(Math.random() * duelQuizzes.length)];
+      if (!quiz) {
+        await ctx.reply(
+          quizArg
+            ? `Quiz ${quizArg} not found.`
+            : 'There is no quiz you can duel on yet: it has to be closed, or completed by both of you.'
+        );
+        return;
+      }
+      if (!duelQuizzes.includes(quiz)) {
+        await ctx.reply(
+          `${quiz.title} can only be used for a duel once it has closed or both of you have completed it.`
+        );
+        return;
+      }
+
+      const duel = await createDuel(quiz, ctx.from, opponent);
+      const challengerName = duel.challenger.username;
+      const rules = `${duel.questionOrder.length} questions from ${quiz.title}. Most correct answers wins, ties go to the faster player.`;
+
+      // Both rounds are played in private chats, which the bot can only
+      // open once the player has started it
+      const send = async (userId, text, keyboard, failureText) => {
+        try {
+          await ctx.telegram.sendMessage(userId, text, keyboard);
+          return true;
+        } catch (error) {
+          console.error('[DEBUG] Could not send duel message:', error);
+          await deleteDuel(duel.duelId);
+          await ctx.reply(failureText);
+          return false;
+        }
+      };
+
+      const sentToChallenger = await send(
+        ctx.from.id,
+        `⚔️ Challenge sent to ${duel.opponent.username}!\n${rules}\nPlay your round whenever you're ready.`,
+        Markup.inlineKeyboard([
+          Markup.button.callback(
+            '▶️ Play my round',
+            `duel_play_${duel.duelId}`
+          ),
+        ]),
+        'Start a private chat with me first, your duel round is played there.'
+      );
+      if (!sentToChallenger) {
+        return;
+      }
+
+      const sentToOpponent = await send(
+        duel.opponent.userId,
+        `⚔️ ${challengerName} challenged you to a duel!\n${rules}`,
+        Markup.inlineKeyboard([
+          Markup.button.callback('✅ Accept', `duel_accept_${duel.duelId}`),
+          Markup.button.callback('❌ Decline', `duel_decline_${duel.duelId}`),
+        ]),
+        `I can't message ${duel.opponent.username}. They need to start a private chat with me first.`
+      );
+      if (!sentToOpponent) {
+        return;
+      }
+
+      if (ctx.chat.type !== 'private') {
+        await ctx.reply(
+          `⚔️ ${challengerName} challenged ${duel.opponent.username} to a duel! Check your private chats.`
+        );
+      }
+    } catch (error) {
+      console.error('[DEBUG] Error in duel command:', error);
+      await ctx.reply('Sorry, the duel could not be created.');
+    }
+  });
+
+  bot.command('duelboard', async ctx => {
+    try {
+      const board = await getDuelBoard({ limit: 10 });
+      if (!board.length) {
+        await ctx.reply(
+          'No duels have been played yet. Challenge someone with /duel @username!'
+        );
+        return;
+      }
+
+      const lines = board.map((entry, index) => {
+        const medal =
+          index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '⚔️';
+        return `${medal} ${index + 1}\\. ${escapeMarkdown(
+          entry.username || 'Anonymous'
+        )}: ${entry.rating} \\(${entry.wins || 0}W ${entry.losses || 0}L ${
+          entry.draws || 0
+        }D\\)`;
+      });
+
+      await ctx.reply(
+        [
+          '⚔️ *DUEL RANKING* ⚔️',
+          `_Elo rating, everyone starts at ${config.duels.initialRating}_`,
+          '',
+          ...lines,
+        ].join('\n'),
+        { parse_mode: 'MarkdownV2', protect_content: true }
+      );
+    } catch (error) {
+      console.error('[DEBUG] Error in duelboard command:', error);
+      await ctx.reply(
+        'Sorry, there was an error fetching the duel ranking. Please try again later.'
+      );
+    }
+  });
+
+  bot.command('createteam', async ctx => {
+    try {
+      const name = getCommandArgs(ctx).join(' ');
+      if (
+        name.length < TEAM_NAME_LENGTH.min ||
+        name.length > TEAM_NAME_LENGTH.max
+      ) {
+        await ctx.reply(
+          `Usage: /createteam <name>, with a name of ${TEAM_NAME_LENGTH.min} to ${TEAM_NAME_LENGTH.max} characters`
+        );
+        return;
+      }
+
+      const current = await getTeamForUser(ctx.from.id);
+      if (current) {
+        await ctx.reply(
+          `You are already in ${current.name}. Use /leaveteam to leave it first.`
+        );
+        return;
+      }
+
+      const { team, error } = await createTeam(name, ctx.from);
+      if (error === CREATE_TEAM_ERRORS.NAME_TAKEN) {
+        await ctx.reply(`The name ${name} is already taken.`);
+        return;
+      }
+      if (error === CREATE_TEAM_ERRORS.ALREADY_IN_TEAM) {
+        await ctx.reply(
+          'You joined another team while this one was being created. Use /leaveteam to leave it first.'
+        );
+        return;
+      }
+
+      console.log('[DEBUG] Team created:', {
+        teamId: team.teamId,
+        ownerId: ctx.from.id,
+      });
+      await ctx.reply(
+        `🛡 Team ${team.name} created!\nInvite code: ${team.code}\nTeammates join with /jointeam ${team.code} (up to ${config.teams.maxSize} members).`
+      );
+    } catch (error) {
+      console.error('[DEBUG] Error in createteam command:', error);
+      await ctx.reply('Sorry, the team could not be created.');
+    }
+  });
+
+  bot.command('jointeam', async ctx => {
+    try {
+      const [code] = getCommandArgs(ctx);
+      const current = await getTeamForUser(ctx.from.id);
+
+      if (!code) {
+        await ctx.reply(
+          current
+            ? `You are in ${current.name} (${current.memberCount}/${config.teams.maxSize} members). Invite code: ${current.code}`
+            : 'Usage: /jointeam <code>, or start your own team with /createteam <name>'
+        );
+        return;
+      }
+      if (current) {
+        await ctx.reply(
+          `You are already in ${current.name}. Use /leaveteam to leave it first.`
+        );
+        return;
+      }
+
+      const team = await getTeamByCode(code);
+      if (!team) {
+        await ctx.reply(`No team has the code ${code}.`);
+        return;
+      }
+      if (!(await joinTeam(team, ctx.from))) {
+        await ctx.reply(
+          `${team.name} is full, teams have at most ${config.teams.maxSize} members.`
+        );
+        return;
+      }
+
+      await ctx.reply(
+        `🛡 You joined ${team.name}! Your completed quizzes now count towards its /teamboard score.`
+      );
+    } catch (error) {
+      console.error('[DEBUG] Error in jointeam command:', error);
+      await ctx.reply('Sorry, you could not join the team.');
+    }
+  });
+
+  bot.command('leaveteam', async ctx => {
+    try {
+      const team = await leaveTeam(ctx.from.id);
+      await ctx.reply(
+        team ? `You left ${team.name}.` : 'You are not in a team.'
+      );
+    } catch (error) {
+      console.error('[DEBUG] Error in leaveteam command:', error);
+      await ctx.reply('Sorry, you could not leave the team.');
+    }
+  });
+
+  // /teamboard [average|total]
+  bot.command('teamboard', async ctx => {
+    try {
+      const [rankingArg] = getCommandArgs(ctx);
+      const ranking = TEAM_RANKINGS.includes(rankingArg?.toLowerCase())
+        ? rankingArg.toLowerCase()
+        : config.teams.ranking;
+
+      const board = await getTeamBoard({ ranking });
+      if (!board.length) {
+        await ctx.reply('No teams yet. Start one with /createteam <name>!');
+        return;
+      }
+
+      const formatScore = entry =>
+        ranking === 'total'
+          ? `${entry.totalScore} points`
+          : `${escapeMarkdown(entry.averageScore.toFixed(1))} avg`;
+      const lines = board.slice(0, 10).map((entry, index) => {
+        const medal =
+          index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '🛡';
+        return `${medal} ${index + 1}\\. ${escapeMarkdown(
+          entry.name
+        )}: ${formatScore(entry)} \\(${entry.memberCount} member${
+          entry.memberCount === 1 ? '' : 's'
+        }\\)`;
+      });
+
+      const current = await getTeamForUser(ctx.from.id);
+      const position =
+        current && board.findIndex(entry => entry.teamId === current.teamId);
+      const footer = current
+        ? ['', `Your team: ${escapeMarkdown(current.name)}, \\#${position + 1}`]
+        : ['', 'Join a team with /jointeam \\<code\\>'];
+
+      await ctx.reply(
+        [
+          '🛡 *TEAM LEADERBOARD* 🛡',
+          `_${
+            ranking === 'total' ? 'Total' : 'Average'
+          } points of each team's best ${config.teams.countedMembers} players_`,
+          '',
+          ...lines,
+          ...footer,
+        ].join('\n'),
+        { parse_mode: 'MarkdownV2', protect_content: true }
+      );
+    } catch (error) {
+      console.error('[DEBUG] Error in teamboard command:', error);
+      await ctx.reply(
+        'Sorry, there was an error fetching the team leaderboard. Please try again later.'
+      );
+    }
+  });
+
+  bot.command('gems', async ctx => {
+    try {
+      const userId = ctx.from.id;
+      const balance = await getGemBalance(userId);
+      const quizzes = await listQuizzes();
+      const quizTitles = quizzes.reduce((acc, quiz) => {
+        acc[quiz.quizId] = quiz.title;
+        return acc;
+      }, {});
 
-        message += '\n';
+      const earned = await mongoose.connection
+        .collection('userQuiz')
+        .find({
+          userId: parseInt(userId),
+          completed: true,
+          gemsEarned: { $gt: 0 },
+        })
+        .sort({ quizId: 1 })
+        .toArray();
+
+      let message = `💎 *Your Gems: ${balance}*\n\n`;
+      if (earned.length) {
+        message += earned
+          .map(
+            result =>
+              `• ${escapeMarkdown(
+                quizTitles[result.quizId] || `Quiz ${result.quizId}`
+              )}: \\+${result.gemsEarned}`
+          )
+          .join('\n');
+        message += '\n\n';
       }
 
+      // Tell players what the quizzes they can still take pay out
+      const openRules = quizzes
+        .filter(
+          quiz => getQuizAvailability(quiz).state === QUIZ_AVAILABILITY.OPEN
+        )
+        .map(quiz => {
+          const { threshold, reward } = getGemRule(quiz);
+          return `• ${escapeMarkdown(
+            quiz.title
+          )}: score ${threshold}% or more for ${reward} 💎`;
+        });
+      message += openRules.length
+        ? `*Open quizzes:*\n${openRules.join('\n')}`
+        : 'Score high on a quiz to earn gems\\!';
+
       await ctx.reply(message, {
         parse_mode: 'MarkdownV2',
         protect_content: true,
       });
+    } catch (error) {
+      console.error('[DEBUG] Error in gems command:', error);
+      await ctx.reply(
+        'Sorry, there was an error fetching your gems. Please try again later.'
+      );
+    }
+  });
 
-      console.log('[DEBUG] Leaderboard sent successfully');
+  // Where the player stands, including the players just around them
+  bot.command('me', async ctx => {
+    try {
+      const userId = ctx.from.id;
+      await expireStaleAttempts();
+
+      const standing = await getPlayerStanding(userId);
+      if (!standing) {
+        await ctx.reply(
+          "You haven't completed any quizzes yet. Use /start to begin!",
+          { protect_content: true }
+        );
+        return;
+      }
+
+      const [completedQuizMap, quizzes, badges] = await Promise.all([
+        getCompletedAttempts(userId),
+        listQuizzes({ includeDrafts: true }),
+        getBadges([userId]),
+      ]);
+      const quizTitles = quizzes.reduce((acc, quiz) => {
+        acc[quiz.quizId] = quiz.title;
+        return acc;
+      }, {});
+
+      const formatNeighbour = (arrow, entry) =>
+        `${arrow} \\#${entry.rank} ${escapeMarkdown(
+          entry.username || 'Anonymous'
+        )}: 💎 ${entry.totalGems}, ${entry.totalScore} points`;
+
+      const lines = [
+        '👤 *Your Profile*',
+        '',
+        `🏅 Rank: \\#${standing.rank} of ${standing.players} players`,
+        `📈 Better than ${standing.percentile}% of players`,
+        `💎 Gems: ${standing.totalGems}`,
+        `🎯 Total score: ${standing.totalScore} points`,
+        ...(standing.totalTime
+          ? [`⏱ Total time: ${formatDuration(standing.totalTime)}`]
+          : []),
+        `📚 Quizzes completed: ${standing.quizCount}`,
+        `🔥 Best streak: ${standing.bestStreak} correct in a row`,
+        '',
+        `*Badges \\(${badges[userId].length}/${ACHIEVEMENTS.length}\\):*`,
+        ...(badges[userId].length
+          ? badges[userId].map(
+              achievement =>
+                `${achievement.emoji} ${escapeMarkdown(
+                  achievement.title
+                )} \\- ${escapeMarkdown(achievement.description)}`
+            )
+          : ['_None yet, keep playing to earn them\\!_']),
+        '',
+        '*Around you:*',
+        ...(standing.above ? [formatNeighbour('⬆️', standing.above)] : []),
+        `➡️ \\#${standing.rank} You: 💎 ${standing.totalGems}, ${standing.totalScore} points`,
+        ...(standing.below ? [formatNeighbour('⬇️', standing.below)] : []),
+        '',
+        '*Your quizzes:*',
+        ...Object.values(completedQuizMap)
+          .sort((a, b) => a.quizId - b.quizId)
+          .map(result => {
+            const correct = result.finalScore ?? result.correctAnswers ?? 0;
+            const percent = result.totalQuestions
+              ? Math.round((correct / result.totalQuestions) * 100)
+              : 0;
+            const details = [
+              result.bonusPoints ? `\\+${result.bonusPoints} bonus` : null,
+              result.durationMs ? formatDuration(result.durationMs) : null,
+            ].filter(Boolean);
+            return `• ${escapeMarkdown(
+              quizTitles[result.quizId] || `Quiz ${result.quizId}`
+            )}: ${correct}/${result.totalQuestions} \\(${percent}%\\)${
+              details.length ? `, ${details.join(', ')}` : ''
+            }`;
+          }),
+      ];
+
+      await ctx.reply(lines.join('\n'), {
+        parse_mode: 'MarkdownV2',
+        protect_content: true,
+      });
     } catch (error) {
-      console.error('[DEBUG] Leaderboard error:', error);
+      console.error('[DEBUG] Error in me command:', error);
       await ctx.reply(
-        'Sorry, there was an error fetching the leaderboard. Please try again later.'
+        'Sorry, there was an error fetching your profile. Please try again later.'
       );
     }
   });
 
-  // Quiz Commands
-  Object.keys(quizzes).forEach(quizId => {
-    bot.command(`quiz_${quizId}`, async ctx => {
-      try {
-        // Delete command message
-        if (ctx.message) {
-          await ctx.deleteMessage(ctx.message.message_id).catch(console.error);
-        }
+  // Public so players can audit a prize draw themselves
+  bot.command('verifydraw', async ctx => {
+    try {
+      const [rawDrawId] = getCommandArgs(ctx);
+      if (!rawDrawId) {
+        await ctx.reply('Usage: /verifydraw <drawId>', {
+          protect_content: true,
+        });
+        return;
+      }
 
-        if (await hasUserCompletedQuiz(ctx.from.id)) {
-          await ctx.reply('You have already completed this quiz.', {
-            protect_content: true,
-          });
-          return;
-        }
+      const { draw, checks, valid } = await verifyDraw(rawDrawId);
+      const mark = ok => (ok ? '✅' : '❌');
+      await ctx.reply(
+        [
+          `🔍 Prize draw #${draw.drawId} for quiz ${draw.quizId}`,
+          `${mark(checks.seedMatchesHash)} Seed matches the published hash`,
+          `${mark(checks.entrantsMatchHash)} Entrant list (${
+            draw.entrants.length
+          }) matches the published hash`,
+          `${mark(checks.winnersMatch)} Winners match the seed`,
+          '',
+          `Seed: ${draw.seed}`,
+          `Winners: ${draw.winners.map(winner => winner.username).join(', ')}`,
+          '',
+          valid ? 'This draw is valid.' : 'This draw does NOT verify!',
+        ].join('\n'),
+        { protect_content: true }
+      );
+      // Every ticket, so the check can be repeated without the bot
+      const { filename, content } = getDerivationFile(draw);
+      await ctx.replyWithDocument({
+        source: Buffer.from(content, 'utf8'),
+        filename,
+      });
+    } catch (error) {
+      console.error('[DEBUG] Error in verifydraw command:', error);
+      await ctx.reply(`Error: ${error.message}`, { protect_content: true });
+    }
+  });
+
+  // Quiz Commands (/quiz_1, /quiz_2, ...), resolved against the quizzes
+  // collection so newly published quizzes work without a redeploy. Telegraf
+  // does not set ctx.match for commands, so the id is read from the text.
+  bot.command(/^quiz_\d+$/, async ctx => {
+    try {
+      const quizId = parseInt(ctx.message.text.match(/^\/quiz_(\d+)/)[1], 10);
 
-        await ctx.reply(`Starting quiz: ${quizzes[quizId].title}`, {
+      // Delete command message
+      if (ctx.message) {
+        await ctx.deleteMessage(ctx.message.message_id).catch(console.error);
+      }
+
+      const quiz = await getQuiz(quizId);
+      if (!quiz) {
+        await ctx.reply('Sorry, this quiz is not available.', {
           protect_content: true,
         });
+        return;
+      }
 
-        await sendQuizQuestion(bot, ctx.chat.id, quizId, 0, ctx.from.id);
-      } catch (error) {
-        console.error('Error in quiz command:', error);
-        await ctx.reply('An error occurred while starting the quiz.', {
+      const unavailableReason = getUnavailableReason(quiz);
+      if (unavailableReason) {
+        await ctx.reply(unavailableReason, { protect_content: true });
+        return;
+      }
+
+      await expireStaleAttempts();
+      const { completed, lockedReason } = await getQuizProgress(
+        ctx.from.id,
+        quiz
+      );
+      if (completed) {
+        await ctx.reply('You have already completed this quiz.', {
           protect_content: true,
         });
+        return;
       }
-    });
+
+      if (lockedReason) {
+        await ctx.reply(`🔐 ${lockedReason}`, { protect_content: true });
+        return;
+      }
+
+      if (await getQuizState(ctx.from.id)) {
+        await ctx.reply(
+          'You have a quiz in progress. Type /resume to continue it.',
+          { protect_content: true }
+        );
+        return;
+      }
+
+      await ctx.reply(`Starting quiz: ${quiz.title}`, {
+        protect_content: true,
+      });
+
+      await startQuizAttempt(bot, ctx.chat.id, ctx.from, quizId);
+    } catch (error) {
+      console.error('Error in quiz command:', error);
+      await ctx.reply('An error occurred while starting the quiz.', {
+        protect_content: true,
+      });
+    }
   });
 
   // Current Leaderboard Command (Admin Only)
@@ -358,9 +1257,15 @@ const setupCommandHandlers = bot => {
         if (leaderboard.length === 0) {
           leaderboardText += 'No completed quizzes yet\\.';
         } else {
-          // Sort users by score in descending order
+          // Results stored before speed bonuses only have correctAnswers,
+          // as in POINTS_EXPRESSION
+          const getPoints = result =>
+            result.score ?? result.correctAnswers ?? 0;
+          // Sort users by score in descending order, faster completion first
           const sortedLeaderboard = leaderboard.sort(
-            (a, b) => (b.score || 0) - (a.score || 0)
+            (a, b) =>
+              getPoints(b) - getPoints(a) ||
+              (a.durationMs || 0) - (b.durationMs || 0)
           );
 
           sortedLeaderboard.forEach((user, index) => {
@@ -370,7 +1275,7 @@ const setupCommandHandlers = bot => {
               : 'Unknown';
             leaderboardText += `${index + 1}\\. TG ID: \`${
               user.userId
-            }\` \\- ${username} \\- ${user.score || 0} points\n`;
+            }\` \\- ${username} \\- ${getPoints(user)} points\n`;
           });
         }
 
@@ -398,9 +1303,17 @@ const setupCommandHandlers = bot => {
   bot.telegram
     .setMyCommands([
       { command: 'start', description: '🎮 Start the quiz game' },
+      { command: 'resume', description: '⏯ Continue your quiz' },
       { command: 'help', description: '📖 Show help message' },
       { command: 'listquizzes', description: '📝 Show available quizzes' },
       { command: 'leaderboard', description: '🏆 Show top 10 players' },
+      { command: 'gems', description: '💎 Show your gem balance' },
+      { command: 'me', description: '👤 Show your rank and results' },
+      { command: 'duel', description: '⚔️ Challenge another player' },
+      { command: 'duelboard', description: '⚔️ Show the duel ranking' },
+      { command: 'teamboard', description: '🛡 Show the team leaderboard' },
+      { command: 'daily', description: "📅 Answer today's question" },
+      { command: 'dailyboard', description: '📅 Show the daily leaderboard' },
     ])
     .catch(error => {
       console.error('Error setting bot commands:', error);
@@ -0,0 +1,227 @@
+// handlers/dailyHandlers.js
+// The daily question: /daily to answer it or switch the daily push on and
+// off, /dailyboard for its own leaderboard, and the push sent to players
+// who opted in.
+const { Markup } = require('telegraf');
+const config = require('../config/default');
+const {
+  escapeMarkdown,
+  formatDuration,
+  getCommandArgs,
+  getDayKey,
+} = require('../utils/helpers');
+const { startQuizAttempt, getQuizState } = require('./actionHandlers');
+const {
+  getDailyQuestion,
+  getDailyResult,
+  claimDailyAttempt,
+  releaseDailyAttempt,
+  getCurrentDailyStreak,
+  getDailyStats,
+  getDailyBoard,
+  setDailyPush,
+  getDailyPushRecipients,
+  claimDailyPush,
+} = require('../services/daily');
+
+// Telegram allows about 30 messages a second to different chats, so the
+// push goes out in batches of this many a second
+const PUSH_BATCH_SIZE = 25;
+const PUSH_BATCH_MS = 1000;
+
+const playButton = Markup.inlineKeyboard([
+  Markup.button.callback("📅 Answer today's question", 'daily_play'),
+]);
+
+// Why the player can't take today's question, or null when they can
+const getDailyBlocker = async (today, userId) => {
+  const result = await getDailyResult(today, userId);
+  if (result?.completed) {
+    const { players, correct } = await getDailyStats(today);
+    return `You already answered today's question ${
+      result.correct ? 'right ✅' : 'wrong ❌'
+    }. ${correct} of ${players} players got it right so far. Come back tomorrow!`;
+  }
+  if (await getQuizState(userId)) {
+    return 'Finish the quiz you are playing first. Type /resume to continue it.';
+  }
+  if (result) {
+    return "You already opened today's question, there's one attempt per day.";
+  }
+  return null;
+};
+
+// Sends today's question, once per player and day
+const startDailyQuestion = async (bot, chatId, from) => {
+  const today = getDayKey();
+  const daily = await getDailyQuestion(today);
+  if (!daily) {
+    return 'There is no daily question today. Check back tomorrow!';
+  }
+
+  const blocker = await getDailyBlocker(today, from.id);
+  if (blocker) {
+    return blocker;
+  }
+  if (!(await claimDailyAttempt(today, from))) {
+    return "You already opened today's question, there's one attempt per day.";
+  }
+
+  try {
+    await startQuizAttempt(bot, chatId, from, daily.quizId, { daily });
+  } catch (error) {
+    await releaseDailyAttempt(today, from.id);
+    throw error;
+  }
+  return null;
+};
+
+// Claims a player's push for the day and sends it unless they already
+// played. Returns whether a message was sent.
+const pushToPlayer = async (telegram, date, userId) => {
+  if (
+    !(await claimDailyPush(date, userId)) ||
+    (await getDailyResult(date, userId))
+  ) {
+    return false;
+  }
+  try {
+    await telegram.sendMessage(
+      userId,
+      "📅 Today's daily question is ready! You get one attempt, keep your streak going.",
+      playButton
+    );
+    return true;
+  } catch (error) {
+    console.error('[DEBUG] Error pushing daily question:', {
+      userId,
+      error: error.description,
+    });
+    return false;
+  }
+};
+
+// Sends the daily reminder to the players who opted in and have not played
+// today, at most config.daily.pushLimit per run so a run fits in a
+// serverless time limit; the next run carries on where it stopped. Safe to
+// run more than once a day. Returns how many were sent.
+const pushDailyQuestion = async telegram => {
+  const today = getDayKey();
+  if (!(await getDailyQuestion(today))) {
+    return 0;
+  }
+
+  const recipients = await getDailyPushRecipients(
+    today,
+    config.daily.pushLimit
+  );
+  let sent = 0;
+  for (let i = 0; i < recipients.length; i += PUSH_BATCH_SIZE) {
+    const batchStartedAt = Date.now();
+    const results = await Promise.all(
+      recipients
+        .slice(i, i + PUSH_BATCH_SIZE)
+        .map(user => pushToPlayer(telegram, today, user.userId))
+    );
+    sent += results.filter(Boolean).length;
+
+    const wait = PUSH_BATCH_MS - (Date.now() - batchStartedAt);
+    if (wait > 0 && i + PUSH_BATCH_SIZE < recipients.length) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+  console.log('[DEBUG] Daily question pushed:', {
+    date: today,
+    sent,
+    checked: recipients.length,
+  });
+  return sent;
+};
+
+const setupDailyHandlers = bot => {
+  // /daily, or /daily on|off for the daily push
+  bot.command('daily', async ctx => {
+    try {
+      const [option] = getCommandArgs(ctx);
+      if (['on', 'off'].includes(option?.toLowerCase())) {
+        const enabled = option.toLowerCase() === 'on';
+        await setDailyPush(ctx.from, enabled);
+        await ctx.reply(
+          enabled
+            ? "🔔 You'll get the daily question every day. Turn it off with /daily off."
+            : "🔕 You won't get the daily question any more. Turn it back on with /daily on."
+        );
+        return;
+      }
+
+      const message = await startDailyQuestion(bot, ctx.chat.id, ctx.from);
+      if (message) {
+        await ctx.reply(message, { protect_content: true });
+      }
+    } catch (error) {
+      console.error('[DEBUG] Error in daily command:', error);
+      await ctx.reply(
+        "Sorry, today's question could not be started. Please try again."
+      );
+    }
+  });
+
+  bot.action('daily_play', async ctx => {
+    try {
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      const message = await startDailyQuestion(bot, ctx.chat.id, ctx.from);
+      await ctx.answerCbQuery(message || undefined);
+    } catch (error) {
+      console.error('[DEBUG] Error in daily_play action:', error);
+      await ctx.answerCbQuery(
+        "Sorry, today's question could not be started. Please try /daily."
+      );
+    }
+  });
+
+  bot.command('dailyboard', async ctx => {
+    try {
+      const today = getDayKey();
+      const [board, { players, correct }] = await Promise.all([
+        getDailyBoard({ limit: 10 }),
+        getDailyStats(today),
+      ]);
+      if (!board.length) {
+        await ctx.reply(
+          'Nobody has answered a daily question yet. Be the first with /daily!'
+        );
+        return;
+      }
+
+      const lines = board.map((entry, index) => {
+        const medal =
+          index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '📅';
+        const streak = getCurrentDailyStreak(entry.user, today);
+        return `${medal} ${index + 1}\\. ${escapeMarkdown(
+          entry.username || 'Anonymous'
+        )}: ${entry.correctDays}/${entry.daysPlayed} days${
+          entry.totalTime ? `, ${formatDuration(entry.totalTime)}` : ''
+        }${streak ? `, 🔥 ${streak}` : ''}`;
+      });
+
+      await ctx.reply(
+        [
+          '📅 *DAILY LEADERBOARD* 📅',
+          '_Ranked by days answered right, ties go to the fastest total time_',
+          '',
+          ...lines,
+          '',
+          `Today: ${correct} of ${players} players got it right`,
+        ].join('\n'),
+        { parse_mode: 'MarkdownV2', protect_content: true }
+      );
+    } catch (error) {
+      console.error('[DEBUG] Error in dailyboard command:', error);
+      await ctx.reply(
+        'Sorry, there was an error fetching the daily leaderboard. Please try again later.'
+      );
+    }
+  });
+};
+
+module.exports = { setupDailyHandlers, pushDailyQuestion };
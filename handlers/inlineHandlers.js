@@ -0,0 +1,194 @@
+// handlers/inlineHandlers.js
+// Inline mode: typing @bot leaderboard, @bot myscore or @bot quiz 2 in any
+// chat offers a card to share there. Quiz invites link back to /start with
+// the quiz preselected.
+const { Markup } = require('telegraf');
+const {
+  escapeMarkdown,
+  formatDate,
+  formatDuration,
+  getStartLink,
+} = require('../utils/helpers');
+const {
+  getQuiz,
+  listQuizzes,
+  getQuestionCount,
+  getQuizAvailability,
+  QUIZ_AVAILABILITY,
+} = require('../services/quizService');
+const {
+  getLeaderboard,
+  getPlayerStanding,
+} = require('../services/leaderboard');
+const { getCompletedAttempts } = require('../services/progression');
+const { getBadges, formatBadgeEmojis } = require('../services/achievements');
+const { formatPlayerName } = require('./leaderboardMessages');
+
+// Results change as players finish quizzes, so Telegram should not keep
+// them for long
+const INLINE_CACHE_SECONDS = 30;
+// Open quizzes offered as invites when the query doesn't name one
+const MAX_QUIZ_INVITES = 5;
+
+const article = ({ id, title, description, text, button }) => ({
+  type: 'article',
+  id,
+  title,
+  description,
+  input_message_content: { message_text: text, parse_mode: 'MarkdownV2' },
+  reply_markup: Markup.inlineKeyboard([button]).reply_markup,
+});
+
+// The all time top 10
+const buildLeaderboardResult = async botUsername => {
+  const leaderboard = await getLeaderboard({ limit: 10 });
+  const badges = await getBadges(leaderboard.map(entry => entry._id));
+  const lines = leaderboard.map((entry, i) => {
+    const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '🎯';
+    return `${medal} ${i + 1}\\. ${formatPlayerName(
+      entry,
+      badges[entry._id]
+    )}: 💎 ${entry.totalGems}, ${entry.totalScore} points`;
+  });
+
+  return article({
+    id: 'leaderboard',
+    title: '🏆 Leaderboard',
+    description: leaderboard.length
+      ? 'Share the current top 10'
+      : 'Nobody is on the leaderboard yet',
+    text: [
+      '🏆 *QUIZ LEADERBOARD* 🏆',
+      '_Top 10 of all time, ranked by gems, then total points_',
+      '',
+      ...(lines.length
+        ? lines
+        : ['Nobody has completed a quiz yet\\. Be the first\\!']),
+    ].join('\n'),
+    button: Markup.button.url('🎮 Play the quiz', getStartLink(botUsername)),
+  });
+};
+
+// The sender's rank and totals
+const buildScoreResult = async (from, botUsername) => {
+  const standing = await getPlayerStanding(from.id);
+  const name = escapeMarkdown(from.username || from.first_name || 'A player');
+  if (!standing) {
+    return article({
+      id: 'myscore',
+      title: '👤 My score',
+      description: "You haven't completed a quiz yet",
+      text: `👤 *${name}* is about to take their first quiz\\. Join in\\!`,
+      button: Markup.button.url('🎮 Play the quiz', getStartLink(botUsername)),
+    });
+  }
+
+  const badges = (await getBadges([from.id]))[from.id];
+  const emojis = formatBadgeEmojis(badges);
+  return article({
+    id: 'myscore',
+    title: '👤 My score',
+    description: `Rank #${standing.rank} of ${standing.players}, 💎 ${standing.totalGems}, ${standing.totalScore} points`,
+    text: [
+      `👤 *${name}*${emojis ? ` ${emojis}` : ''}`,
+      '',
+      `🏅 Rank \\#${standing.rank} of ${standing.players} players`,
+      `📈 Better than ${standing.percentile}% of players`,
+      `💎 Gems: ${standing.totalGems}`,
+      `🎯 Total score: ${standing.totalScore} points`,
+      ...(standing.totalTime
+        ? [`⏱ Total time: ${formatDuration(standing.totalTime)}`]
+        : []),
+      `📚 Quizzes completed: ${standing.quizCount}`,
+    ].join('\n'),
+    button: Markup.button.url('🎮 Beat my score', getStartLink(botUsername)),
+  });
+};
+
+// An invite to one quiz, with the sender's score when they completed it
+const buildQuizInviteResult = (quiz, attempt, botUsername) => {
+  const { closesAt } = getQuizAvailability(quiz);
+  const score = attempt
+    ? `${attempt.finalScore ?? attempt.correctAnswers}/${
+        attempt.totalQuestions
+      }`
+    : null;
+
+  return article({
+    id: `quiz_${quiz.quizId}`,
+    title: `🎮 ${quiz.title}`,
+    description: score
+      ? `Challenge others to beat your ${score}`
+      : `Invite others to quiz ${quiz.quizId}`,
+    text: [
+      `🎮 *${escapeMarkdown(quiz.title)}*`,
+      `❓ ${getQuestionCount(quiz)} questions${
+        closesAt ? `, open until ${escapeMarkdown(formatDate(closesAt))}` : ''
+      }`,
+      '',
+      score
+        ? `I scored ${score}\\. Can you beat it?`
+        : 'Think you know the answers? Take the quiz\\!',
+    ].join('\n'),
+    button: Markup.button.url(
+      '🎮 Start Quiz',
+      getStartLink(botUsername, `quiz_${quiz.quizId}`)
+    ),
+  });
+};
+
+// Invites to the quiz named in the query, or to the open quizzes
+const buildQuizInviteResults = async (from, botUsername, quizId) => {
+  const quizzes = quizId
+    ? [await getQuiz(quizId)].filter(Boolean)
+    : (await listQuizzes())
+        .filter(
+          quiz => getQuizAvailability(quiz).state === QUIZ_AVAILABILITY.OPEN
+        )
+        .slice(0, MAX_QUIZ_INVITES);
+  const completed = await getCompletedAttempts(from.id);
+  return quizzes.map(quiz =>
+    buildQuizInviteResult(quiz, completed[quiz.quizId], botUsername)
+  );
+};
+
+const setupInlineHandlers = bot => {
+  bot.on('inline_query', async ctx => {
+    try {
+      const query = ctx.inlineQuery.query.trim().toLowerCase();
+      const { from } = ctx.inlineQuery;
+      const botUsername = ctx.botInfo.username;
+      console.log('[DEBUG] Inline query:', { userId: from.id, query });
+
+      // "quiz 2" names a quiz; otherwise every card whose keyword starts
+      // with what was typed so far is offered
+      const quizMatch = query.match(/^quiz\s*(\d+)$/);
+      const results = [];
+      if ('myscore'.startsWith(query)) {
+        results.push(await buildScoreResult(from, botUsername));
+      }
+      if ('leaderboard'.startsWith(query)) {
+        results.push(await buildLeaderboardResult(botUsername));
+      }
+      if (quizMatch || 'quiz'.startsWith(query)) {
+        results.push(
+          ...(await buildQuizInviteResults(
+            from,
+            botUsername,
+            quizMatch && parseInt(quizMatch[1], 10)
+          ))
+        );
+      }
+
+      await ctx.answerInlineQuery(results, {
+        cache_time: INLINE_CACHE_SECONDS,
+        is_personal: true,
+      });
+    } catch (error) {
+      console.error('[DEBUG] Error in inline query:', error);
+      await ctx.answerInlineQuery([], { cache_time: 0 }).catch(() => {});
+    }
+  });
+};
+
+module.exports = { setupInlineHandlers };
@@ -0,0 +1,330 @@
+// handlers/leaderboardMessages.js
+// Leaderboard messages shared by the commands, the buttons that switch
+// between them and the leaderboards pinned in groups
+const { Markup } = require('telegraf');
+const {
+  escapeMarkdown,
+  formatDate,
+  formatDuration,
+} = require('../utils/helpers');
+const { listQuizzes, getQuestionCount } = require('../services/quizService');
+const {
+  LEADERBOARD_PERIODS,
+  getPeriodStart,
+  getLeaderboard,
+  getQuizLeaderboard,
+} = require('../services/leaderboard');
+const {
+  isGroupChat,
+  getGroupMemberIds,
+  getPinnedLeaderboard,
+  getPinnedLeaderboardsForUser,
+  removePinnedLeaderboard,
+} = require('../services/groups');
+const { getBadges, formatBadgeEmojis } = require('../services/achievements');
+const { renderLeaderboardCard } = require('../utils/cards');
+const config = require('../config/default');
+
+// A player's name followed by their badges
+const formatPlayerName = (entry, badges) => {
+  const emojis = formatBadgeEmojis(badges || []);
+  return `${escapeMarkdown(entry.username || 'Anonymous')}${
+    emojis ? ` ${emojis}` : ''
+  }`;
+};
+
+const PERIOD_LABELS = {
+  day: 'Today',
+  week: 'This Week',
+  month: 'This Month',
+  season: 'This Season',
+  all: 'All Time',
+};
+
+const PERIOD_BUTTONS = {
+  day: 'Day',
+  week: 'Week',
+  month: 'Month',
+  season: 'Season',
+  all: 'All',
+};
+
+// The players ranked in one period, with the badges and quiz titles shown
+// next to them. With a group chatId only the members of that group count.
+const loadLeaderboard = async (period, { chatId = null, limit = 10 } = {}) => {
+  const since = getPeriodStart(period);
+  const userIds = chatId ? await getGroupMemberIds(chatId) : null;
+  const leaderboard = await getLeaderboard({
+    limit,
+    since,
+    userIds,
+    chatId,
+  });
+
+  console.log('[DEBUG] Leaderboard raw data:', leaderboard);
+
+  const badges = await getBadges(leaderboard.map(entry => entry._id));
+  const quizTitles = (await listQuizzes({ includeDrafts: true })).reduce(
+    (acc, quiz) => {
+      acc[quiz.quizId] = quiz.title;
+      return acc;
+    },
+    {}
+  );
+  return { since, leaderboard, badges, quizTitles };
+};
+
+const buildPeriodKeyboard = period =>
+  Markup.inlineKeyboard([
+    LEADERBOARD_PERIODS.map(option =>
+      Markup.button.callback(
+        option === period
+          ? `• ${PERIOD_BUTTONS[option]}`
+          : PERIOD_BUTTONS[option],
+        `lb_${option}`
+      )
+    ),
+  ]);
+
+// Leaderboard text for one period, with buttons to switch to the others.
+// With a group chatId only the members of that group are ranked.
+const buildLeaderboardMessage = async (period, { chatId = null } = {}) => {
+  const { since, leaderboard, badges, quizTitles } = await loadLeaderboard(
+    period,
+    { chatId }
+  );
+  const keyboard = buildPeriodKeyboard(period);
+  const periodLine = `📅 *${PERIOD_LABELS[period]}*${
+    since ? ` \\(since ${escapeMarkdown(formatDate(since))}\\)` : ''
+  }`;
+
+  if (!leaderboard || leaderboard.length === 0) {
+    return {
+      text: `📊 *No quiz results yet\\!*\n${periodLine}\n\nBe the first to complete a quiz and make it to the leaderboard\\! Use /start to begin\\.`,
+      keyboard,
+    };
+  }
+
+  // Format leaderboard message with quiz details
+  let message = chatId
+    ? '🏆 *GROUP LEADERBOARD* 🏆\n'
+    : '🏆 *QUIZ LEADERBOARD* 🏆\n';
+  message += `${periodLine}\n`;
+  message +=
+    '_Ranked by gems, then total points, ties go to the fastest total time_\n\n';
+
+  for (let i = 0; i < leaderboard.length; i++) {
+    const entry = leaderboard[i];
+    const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '🎯';
+    const position = `${i + 1}`.padStart(2, ' ');
+    message += `${medal} ${position}\\. ${formatPlayerName(
+      entry,
+      badges[entry._id]
+    )}\n`;
+    message += `    Gems: 💎 ${entry.totalGems}\n`;
+    message += `    Total Score: ${entry.totalScore} points\n`;
+    if (entry.totalTime) {
+      message += `    Total Time: ${formatDuration(entry.totalTime)}\n`;
+    }
+    message += `    Completed Quizzes: ${entry.quizCount}\n`;
+
+    // Add details for each completed quiz
+    entry.quizzes.forEach((quiz, index) => {
+      const quizTitle = quizTitles[quiz.quizId] || `Quiz ${quiz.quizId}`;
+      const scorePercent = Math.round((quiz.score / quiz.totalQuestions) * 100);
+      const details = [
+        quiz.gemsEarned ? `💎 ${quiz.gemsEarned}` : null,
+        quiz.bonusPoints ? `\\+${quiz.bonusPoints} bonus` : null,
+        quiz.durationMs ? formatDuration(quiz.durationMs) : null,
+      ].filter(Boolean);
+      message += `    ${index + 1}\\. ${escapeMarkdown(quizTitle)}${
+        quiz.live ? ' \\(live\\)' : ''
+      }: ${quiz.score}/${quiz.totalQuestions} \\(${scorePercent}%\\)${
+        details.length ? `, ${details.join(', ')}` : ''
+      }\n`;
+    });
+
+    message += '\n';
+  }
+
+  return { text: message, keyboard };
+};
+
+// The same leaderboard drawn as an image, which stays readable on a phone
+// however many quizzes the players completed. Returns the PNG with a short
+// caption and the period buttons.
+const buildLeaderboardCard = async (period, { chatId = null } = {}) => {
+  const { since, leaderboard, badges, quizTitles } = await loadLeaderboard(
+    period,
+    { chatId, limit: config.cards.leaderboardSize }
+  );
+  const periodText = `${PERIOD_LABELS[period]}${
+    since ? ` (since ${formatDate(since)})` : ''
+  }`;
+
+  const image = renderLeaderboardCard({
+    brand: config.cards.brand,
+    title: chatId ? 'Group Leaderboard' : 'Leaderboard',
+    subtitle: periodText,
+    rows: leaderboard.map(entry => ({
+      name: entry.username || 'Anonymous',
+      detail: entry.quizzes
+        .map(
+          quiz =>
+            `${quizTitles[quiz.quizId] || `Quiz ${quiz.quizId}`}${
+              quiz.live ? ' (live)' : ''
+            } ${quiz.score}/${quiz.totalQuestions}`
+        )
+        .join(' · '),
+      value: `${entry.totalGems} gem${entry.totalGems === 1 ? '' : 's'}`,
+      subValue: [
+        `${entry.totalScore} points`,
+        entry.totalTime ? formatDuration(entry.totalTime) : null,
+      ]
+        .filter(Boolean)
+        .join(' · '),
+    })),
+    footer:
+      'Ranked by gems, then total points, ties go to the fastest total time',
+  });
+
+  // The card font has no emoji, so badges are listed in the caption
+  const badgeLines = leaderboard
+    .map((entry, i) =>
+      badges[entry._id]?.length
+        ? `${i + 1}\\. ${formatPlayerName(entry, badges[entry._id])}`
+        : null
+    )
+    .filter(Boolean);
+
+  return {
+    image,
+    caption: [
+      `🏆 *${chatId ? 'GROUP LEADERBOARD' : 'QUIZ LEADERBOARD'}* 🏆`,
+      `📅 ${escapeMarkdown(periodText)}`,
+      ...(badgeLines.length ? ['', '🎖 *Badges*', ...badgeLines] : []),
+    ].join('\n'),
+    keyboard: buildPeriodKeyboard(period),
+  };
+};
+
+// Ranking of a single quiz by points, ties go to the fastest time. With a
+// group chatId only the members of that group are ranked.
+const buildQuizLeaderboardMessage = async (quiz, { chatId = null } = {}) => {
+  const userIds = chatId ? await getGroupMemberIds(chatId) : null;
+  const { entries, participants, averageCorrect, averagePercent } =
+    await getQuizLeaderboard(quiz.quizId, { limit: 10, userIds });
+  const keyboard = Markup.inlineKeyboard([
+    Markup.button.callback('🏆 Overall leaderboard', 'lb_all'),
+  ]);
+  const header = [
+    `🏆 *${escapeMarkdown(quiz.title)}* 🏆`,
+    `👥 Participants: ${participants}`,
+  ];
+
+  if (!participants) {
+    return {
+      text: [
+        ...header,
+        '',
+        'Nobody has completed this quiz yet\\. Use /start to be the first\\!',
+      ].join('\n'),
+      keyboard,
+    };
+  }
+
+  const badges = await getBadges(entries.map(entry => entry.userId));
+  const lines = entries.map((entry, i) => {
+    const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '🎯';
+    const details = [
+      entry.bonusPoints ? `\\+${entry.bonusPoints} bonus` : null,
+      entry.durationMs ? formatDuration(entry.durationMs) : null,
+    ].filter(Boolean);
+    return `${medal} ${i + 1}\\. ${formatPlayerName(
+      entry,
+      badges[entry.userId]
+    )}: ${entry.correct}/${entry.totalQuestions}${
+      details.length ? `, ${details.join(', ')}` : ''
+    }`;
+  });
+
+  return {
+    text: [
+      ...header,
+      `📊 Average score: ${escapeMarkdown(
+        averageCorrect.toFixed(1)
+      )}/${getQuestionCount(quiz)} \\(${Math.round(averagePercent)}%\\)`,
+      '_Ranked by points, ties go to the fastest time_',
+      '',
+      ...lines,
+    ].join('\n'),
+    keyboard,
+  };
+};
+
+// Group chats only see their own members, private chats the global ranking
+const getLeaderboardScope = chat => ({
+  chatId: isGroupChat(chat) ? chat.id : null,
+});
+
+// Text of a pinned group leaderboard, which has no buttons since pressing
+// one would change what everyone in the group sees
+const buildPinnedLeaderboardText = async (chatId, period) => {
+  const { text } = await buildLeaderboardMessage(period, { chatId });
+  return `${text.trimEnd()}\n\n_Updates automatically_`;
+};
+
+const redrawPinnedLeaderboard = async (
+  telegram,
+  { chatId, messageId, period }
+) => {
+  try {
+    await telegram.editMessageText(
+      chatId,
+      messageId,
+      undefined,
+      await buildPinnedLeaderboardText(chatId, period),
+      { parse_mode: 'MarkdownV2' }
+    );
+  } catch (error) {
+    if (error.description?.includes('message is not modified')) {
+      return;
+    }
+    console.error('[DEBUG] Error refreshing pinned leaderboard:', error);
+    // Deleted by an admin, or the bot was removed from the group
+    if (
+      /message to edit not found|chat not found|kicked/.test(
+        error.description || ''
+      )
+    ) {
+      await removePinnedLeaderboard(chatId);
+    }
+  }
+};
+
+// Redraws the pinned leaderboards of every group the player is in, after
+// they complete a quiz
+const refreshPinnedLeaderboards = async (telegram, userId) => {
+  for (const pinned of await getPinnedLeaderboardsForUser(userId)) {
+    await redrawPinnedLeaderboard(telegram, pinned);
+  }
+};
+
+// Redraws one group's pinned leaderboard, e.g. after a live quiz there
+const refreshGroupLeaderboard = async (telegram, chatId) => {
+  const pinned = await getPinnedLeaderboard(chatId);
+  if (pinned) {
+    await redrawPinnedLeaderboard(telegram, pinned);
+  }
+};
+
+module.exports = {
+  formatPlayerName,
+  buildLeaderboardMessage,
+  buildLeaderboardCard,
+  buildQuizLeaderboardMessage,
+  buildPinnedLeaderboardText,
+  getLeaderboardScope,
+  refreshPinnedLeaderboards,
+  refreshGroupLeaderboard,
+};
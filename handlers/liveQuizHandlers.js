@@ -0,0 +1,370 @@
+// handlers/liveQuizHandlers.js
+// Live group quizzes: the bot posts one question at a time with shared
+// buttons, reveals the answer and the fastest players after each round, and
+// ends with a round-by-round scoreboard.
+const { Markup } = require('telegraf');
+const config = require('../config/default');
+const {
+  escapeMarkdown,
+  formatDuration,
+  getCommandArgs,
+  isGroupAdmin,
+} = require('../utils/helpers');
+const {
+  QUIZ_AVAILABILITY,
+  getQuiz,
+  getQuizAvailability,
+  getAttemptQuestion,
+  getQuestionTimeLimit,
+} = require('../services/quizService');
+const {
+  checkAnswer,
+  formatOptionLabel,
+  formatCorrectAnswer,
+} = require('../services/questionTypes');
+const { isGroupChat } = require('../services/groups');
+const {
+  LIVE_GAME_STATUS,
+  getLiveGame,
+  getRunningGame,
+  createLiveGame,
+  openRound,
+  setRoundMessage,
+  recordLiveAnswer,
+  closeRound,
+  saveRoundResults,
+  finishLiveGame,
+} = require('../services/liveGames');
+const {
+  startQuestionTimer,
+  clearQuestionTimer,
+} = require('../services/questionTimer');
+const { refreshGroupLeaderboard } = require('./leaderboardMessages');
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+// The countdown of a group shares the timer map with players' questions
+const getTimerKey = chatId => `live_${chatId}`;
+
+const buildRoundHeader = (game, round) =>
+  `🎮 *Live Quiz \\- Question ${round + 1} of ${game.questionOrder.length}*`;
+
+const buildLiveQuestionText = (
+  game,
+  questionData,
+  round,
+  secondsLeft,
+  answerCount
+) =>
+  [
+    buildRoundHeader(game, round),
+    `⏱ Time left: ${secondsLeft}s`,
+    `👥 Answers so far: ${answerCount}`,
+    '',
+    escapeMarkdown(questionData.question),
+    '',
+    '_Only your first tap counts\\!_',
+  ].join('\n');
+
+const buildLiveKeyboard = (game, round, questionData) =>
+  Markup.inlineKeyboard(
+    questionData.options.map((option, index) => [
+      Markup.button.callback(
+        formatOptionLabel(questionData, option, index),
+        `lv_${game.gameId}_${round}_${option.id}`
+      ),
+    ])
+  );
+
+const getLiveQuestion = async (game, round) => {
+  const quiz = await getQuiz(game.quizId, { includeDrafts: true });
+  if (!quiz) {
+    throw new Error('Quiz not found');
+  }
+  return { quiz, questionData: getAttemptQuestion(quiz, game, round) };
+};
+
+// Posts the question of a round and starts its countdown
+const runRound = async (bot, gameId, round) => {
+  const game = await getLiveGame(gameId);
+  if (!game || game.status !== LIVE_GAME_STATUS.RUNNING) {
+    return;
+  }
+
+  const { quiz, questionData } = await getLiveQuestion(game, round);
+  const timeLimit =
+    getQuestionTimeLimit(quiz, questionData) || config.liveQuiz.roundSeconds;
+  const deadline = Date.now() + timeLimit * 1000;
+
+  await openRound(gameId, round, { deadline });
+  const message = await bot.telegram.sendMessage(
+    game.chatId,
+    buildLiveQuestionText(game, questionData, round, timeLimit, 0),
+    {
+      parse_mode: 'MarkdownV2',
+      ...buildLiveKeyboard(game, round, questionData),
+    }
+  );
+  await setRoundMessage(gameId, round, message.message_id);
+
+  startQuestionTimer(getTimerKey(game.chatId), {
+    deadline,
+    onTick: async secondsLeft => {
+      const current = await getLiveGame(gameId);
+      if (!current?.roundOpen || current.round !== round) {
+        return;
+      }
+      await bot.telegram.editMessageText(
+        game.chatId,
+        message.message_id,
+        undefined,
+        buildLiveQuestionText(
+          game,
+          questionData,
+          round,
+          secondsLeft,
+          Object.keys(current.answers || {}).length
+        ),
+        {
+          parse_mode: 'MarkdownV2',
+          ...buildLiveKeyboard(game, round, questionData),
+        }
+      );
+    },
+    onExpire: () => endRound(bot, gameId, round),
+  });
+};
+
+// Scores the taps of a round, reveals the answer and moves on. Runs from the
+// countdown, or from a late tap when the countdown was lost. The next
+// question follows the reveal straight away: a timer for a pause would not
+// survive on serverless hosting, and the game would stall.
+const endRound = async (bot, gameId, round) => {
+  const game = await closeRound(gameId, round);
+  if (!game) {
+    return;
+  }
+  clearQuestionTimer(getTimerKey(game.chatId));
+
+  const { questionData } = await getLiveQuestion(game, round);
+  const answers = Object.entries(game.answers || {}).map(
+    ([userId, answer]) => ({
+      userId: parseInt(userId),
+      username: answer.username,
+      correct: checkAnswer(questionData, answer.optionId),
+      responseMs: answer.answeredAt - game.roundStartedAt,
+    })
+  );
+  await saveRoundResults(game, round, answers);
+
+  const correctAnswers = answers
+    .filter(answer => answer.correct)
+    .sort((a, b) => a.responseMs - b.responseMs);
+  const revealText = [
+    buildRoundHeader(game, round),
+    '',
+    escapeMarkdown(questionData.question),
+    '',
+    `✅ Correct answer: ${escapeMarkdown(formatCorrectAnswer(questionData))}`,
+    `👥 ${correctAnswers.length}/${answers.length} answered correctly`,
+    '',
+    ...(correctAnswers.length
+      ? [
+          '⚡ *Fastest:*',
+          ...correctAnswers
+            .slice(0, MEDALS.length)
+            .map(
+              (answer, index) =>
+                `${MEDALS[index]} ${escapeMarkdown(
+                  answer.username
+                )} \\(${escapeMarkdown(
+                  (answer.responseMs / 1000).toFixed(1)
+                )}s\\)`
+            ),
+        ]
+      : ['Nobody got this one right\\!']),
+  ].join('\n');
+
+  await bot.telegram
+    .editMessageText(game.chatId, game.messageId, undefined, revealText, {
+      parse_mode: 'MarkdownV2',
+    })
+    .catch(error => {
+      console.error('[DEBUG] Error revealing live answer:', error.description);
+    });
+
+  if (round + 1 < game.questionOrder.length) {
+    await runRound(bot, gameId, round + 1);
+  } else {
+    await finishGame(bot, gameId);
+  }
+};
+
+// Posts the final scoreboard, with a ✅/❌ for every round of each player
+const finishGame = async (bot, gameId) => {
+  const results = await finishLiveGame(gameId);
+  const game = await getLiveGame(gameId);
+  const quiz = await getQuiz(game.quizId, { includeDrafts: true });
+  const rounds = [...(game.rounds || [])].sort((a, b) => a.round - b.round);
+
+  const rows = results.map((result, index) => {
+    const marks = rounds
+      .map(({ answers }) => {
+        const answer = answers.find(item => item.userId === result.userId);
+        return answer ? (answer.correct ? '✅' : '❌') : '▫️';
+      })
+      .join('');
+    return `${MEDALS[index] || '🎯'} ${index + 1}\\. ${escapeMarkdown(
+      result.username
+    )}: ${result.score}/${game.questionOrder.length}${
+      result.durationMs ? `, ${formatDuration(result.durationMs)}` : ''
+    }\n    ${marks}`;
+  });
+
+  const text = [
+    `🏁 *Live Quiz Finished: ${escapeMarkdown(quiz?.title || '')}*`,
+    '',
+    ...(rows.length
+      ? [
+          ...rows,
+          '',
+          '_✅ correct, ❌ wrong, ▫️ no answer, round by round\\. Ties go to the fastest total time on correct answers\\._',
+          "Results count towards this group's /leaderboard\\.",
+        ]
+      : ['Nobody answered\\. Try again with /livequiz\\!']),
+  ].join('\n');
+
+  await bot.telegram.sendMessage(game.chatId, text, {
+    parse_mode: 'MarkdownV2',
+  });
+  await refreshGroupLeaderboard(bot.telegram, game.chatId);
+};
+
+const setupLiveQuizHandlers = bot => {
+  bot.command('livequiz', async ctx => {
+    try {
+      if (!isGroupChat(ctx.chat)) {
+        await ctx.reply('Use /livequiz in a group chat.');
+        return;
+      }
+      if (!(await isGroupAdmin(ctx))) {
+        await ctx.reply('Only group admins can start a live quiz.');
+        return;
+      }
+
+      const [quizId] = getCommandArgs(ctx);
+      if (!quizId || !/^\d+$/.test(quizId)) {
+        await ctx.reply('Usage: /livequiz <quizId>');
+        return;
+      }
+      if (await getRunningGame(ctx.chat.id)) {
+        await ctx.reply(
+          'A live quiz is already running here. Use /stoplivequiz to end it.'
+        );
+        return;
+      }
+
+      const quiz = await getQuiz(quizId);
+      if (!quiz) {
+        await ctx.reply(`Quiz ${quizId} not found.`);
+        return;
+      }
+      // Playing it live would show the answers while it still counts
+      if (getQuizAvailability(quiz).state !== QUIZ_AVAILABILITY.CLOSED) {
+        await ctx.reply(
+          `Quiz ${quizId} can only be played live once it has closed.`
+        );
+        return;
+      }
+
+      const game = await createLiveGame(ctx.chat.id, quiz, ctx.from.id);
+      if (!game) {
+        await ctx.reply(
+          'This quiz has no single choice or true/false questions to play live.'
+        );
+        return;
+      }
+
+      console.log('[DEBUG] Starting live quiz:', {
+        gameId: game.gameId,
+        chatId: ctx.chat.id,
+        quizId: quiz.quizId,
+      });
+      await ctx.reply(
+        [
+          `🎮 *Live Quiz: ${escapeMarkdown(quiz.title)}*`,
+          '',
+          `${game.questionOrder.length} questions, everyone answers the same one\\. Only your first tap counts, and the fastest correct answers are shown after each round\\. Good luck\\!`,
+        ].join('\n'),
+        { parse_mode: 'MarkdownV2' }
+      );
+      await runRound(bot, game.gameId, 0);
+    } catch (error) {
+      console.error('[DEBUG] Error starting live quiz:', error);
+      await ctx.reply('Sorry, the live quiz could not be started.');
+    }
+  });
+
+  bot.command('stoplivequiz', async ctx => {
+    try {
+      if (!isGroupChat(ctx.chat) || !(await isGroupAdmin(ctx))) {
+        await ctx.reply('Only group admins can stop a live quiz.');
+        return;
+      }
+
+      const game = await getRunningGame(ctx.chat.id);
+      if (!game) {
+        await ctx.reply('No live quiz is running here.');
+        return;
+      }
+
+      // The open question is dropped, the rounds played so far count
+      clearQuestionTimer(getTimerKey(game.chatId));
+      await closeRound(game.gameId, game.round);
+      await finishGame(bot, game.gameId);
+    } catch (error) {
+      console.error('[DEBUG] Error stopping live quiz:', error);
+      await ctx.reply('Sorry, the live quiz could not be stopped.');
+    }
+  });
+
+  bot.action(/^lv_([a-f0-9]+)_(\d+)_([a-z0-9]+)$/, async ctx => {
+    try {
+      const [, gameId, roundText, optionId] = ctx.match;
+      const round = parseInt(roundText, 10);
+      const game = await getLiveGame(gameId);
+
+      if (
+        !game ||
+        game.status !== LIVE_GAME_STATUS.RUNNING ||
+        game.round !== round ||
+        !game.roundOpen
+      ) {
+        await ctx.answerCbQuery('This question is closed.');
+        return;
+      }
+
+      // The countdown may have been lost, e.g. on another instance
+      if (Date.now() > game.roundDeadline) {
+        await ctx.answerCbQuery("⏰ Time's up for this question!");
+        await endRound(bot, gameId, round);
+        return;
+      }
+
+      const recorded = await recordLiveAnswer(
+        gameId,
+        round,
+        ctx.from,
+        optionId
+      );
+      await ctx.answerCbQuery(
+        recorded ? '✅ Answer locked in!' : 'Only your first answer counts!'
+      );
+    } catch (error) {
+      console.error('[DEBUG] Error recording live answer:', error);
+      await ctx.answerCbQuery('Sorry, your answer could not be recorded.');
+    }
+  });
+};
+
+module.exports = { setupLiveQuizHandlers };
@@ -141,7 +141,7 @@ const setupWebhook = async (currentBot, domain) => {
     // Set up new webhook with secret token
     await currentBot.telegram.setWebhook(webhookUrl, {
       drop_pending_updates: true,
-      allowed_updates: ['message', 'callback_query'],
+      allowed_updates: ['message', 'callback_query', 'inline_query'],
       max_connections: 100,
       secret_token: secretToken, // Add secret token for verification
     });
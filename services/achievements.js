@@ -0,0 +1,200 @@
+// services/achievements.js
+// Badges players earn once and keep. Each rule runs on an event, after an
+// answer or after a completed quiz, and is only checked until the player
+// has it. Practice rounds and duels don't count.
+const mongoose = require('mongoose');
+const { listQuizzes } = require('./quizService');
+const { getCompletedAttempts } = require('./progression');
+
+const ACHIEVEMENT_EVENTS = {
+  ANSWER: 'answer',
+  COMPLETION: 'completion',
+};
+
+const QUIZ_RUN_LENGTH = 5;
+const ANSWER_STREAK_LENGTH = 10;
+const EARLY_BIRD_MS = 60 * 60 * 1000;
+
+const getAchievementsCollection = () =>
+  mongoose.connection.collection('achievements');
+
+const getUsersCollection = () => mongoose.connection.collection('users');
+
+// Longest run of quizzes, in quiz order, the player completed without
+// skipping one
+const getLongestQuizRun = async userId => {
+  const completed = await getCompletedAttempts(userId);
+  let run = 0;
+  let longest = 0;
+  for (const quiz of await listQuizzes()) {
+    run = completed[quiz.quizId] ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+  return longest;
+};
+
+// A quiz is released once it is both published and open
+const getReleasedAt = quiz => {
+  const times = [quiz.publishedAt, quiz.opensAt]
+    .filter(Boolean)
+    .map(time => new Date(time).getTime());
+  return times.length ? Math.max(...times) : null;
+};
+
+// Listed in the order badges are shown. check gets the context of the event,
+// see checkAnswerAchievements and checkCompletionAchievements.
+const ACHIEVEMENTS = [
+  {
+    id: 'first_perfect',
+    emoji: '🎯',
+    title: 'Perfectionist',
+    description: 'Get a perfect score on a quiz',
+    event: ACHIEVEMENT_EVENTS.COMPLETION,
+    check: ({ result }) =>
+      result.totalQuestions > 0 &&
+      result.correctAnswers === result.totalQuestions,
+  },
+  {
+    id: 'quiz_run',
+    emoji: '📚',
+    title: 'On a Roll',
+    description: `Complete ${QUIZ_RUN_LENGTH} quizzes in a row`,
+    event: ACHIEVEMENT_EVENTS.COMPLETION,
+    check: async ({ userId }) =>
+      (await getLongestQuizRun(userId)) >= QUIZ_RUN_LENGTH,
+  },
+  {
+    id: 'answer_streak',
+    emoji: '🔥',
+    title: 'On Fire',
+    description: `Answer ${ANSWER_STREAK_LENGTH} questions in a row correctly`,
+    event: ACHIEVEMENT_EVENTS.ANSWER,
+    check: ({ answerStreak }) => answerStreak >= ANSWER_STREAK_LENGTH,
+  },
+  {
+    id: 'early_bird',
+    emoji: '🐦',
+    title: 'Early Bird',
+    description: 'Complete a quiz within an hour of its release',
+    event: ACHIEVEMENT_EVENTS.COMPLETION,
+    check: ({ quiz, result }) => {
+      const releasedAt = getReleasedAt(quiz);
+      return (
+        releasedAt !== null &&
+        result.finishedAt.getTime() - releasedAt <= EARLY_BIRD_MS
+      );
+    },
+  },
+];
+
+// Runs the rules of an event the player has not passed yet, and stores the
+// badges they earn. Returns the new badges.
+const evaluateAchievements = async (event, context) => {
+  const owned = new Set(
+    (
+      await getAchievementsCollection()
+        .find({ userId: context.userId }, { projection: { achievementId: 1 } })
+        .toArray()
+    ).map(badge => badge.achievementId)
+  );
+
+  const awarded = [];
+  for (const achievement of ACHIEVEMENTS) {
+    if (
+      achievement.event !== event ||
+      owned.has(achievement.id) ||
+      !(await achievement.check(context))
+    ) {
+      continue;
+    }
+    // A racing request may have awarded it first, announce it only once
+    const { upsertedCount } = await getAchievementsCollection().updateOne(
+      { userId: context.userId, achievementId: achievement.id },
+      {
+        $setOnInsert: {
+          username: context.username || 'Unknown',
+          quizId: context.quizId ?? context.quiz?.quizId ?? null,
+          awardedAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+    if (upsertedCount) {
+      awarded.push(achievement);
+    }
+  }
+
+  if (awarded.length) {
+    console.log('[DEBUG] Achievements awarded:', {
+      userId: context.userId,
+      achievements: awarded.map(achievement => achievement.id),
+    });
+  }
+  return awarded;
+};
+
+// Keeps the player's run of correct answers across quizzes, stored in
+// users, and checks the answer rules against it
+const checkAnswerAchievements = async (
+  userId,
+  { username, quizId, isCorrect }
+) => {
+  const { value: user } = await getUsersCollection().findOneAndUpdate(
+    { userId: parseInt(userId) },
+    {
+      ...(isCorrect
+        ? { $inc: { answerStreak: 1 } }
+        : { $set: { answerStreak: 0 } }),
+      $setOnInsert: { username: username || 'Unknown', createdAt: new Date() },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return evaluateAchievements(ACHIEVEMENT_EVENTS.ANSWER, {
+    userId: parseInt(userId),
+    username,
+    quizId,
+    answerStreak: user?.answerStreak || 0,
+  });
+};
+
+// result holds correctAnswers, totalQuestions and finishedAt of the
+// completed attempt
+const checkCompletionAchievements = (userId, { username, quiz, result }) =>
+  evaluateAchievements(ACHIEVEMENT_EVENTS.COMPLETION, {
+    userId: parseInt(userId),
+    username,
+    quiz,
+    result,
+  });
+
+// Badges of each player, by userId, in the order of ACHIEVEMENTS. since
+// limits them to the ones awarded from then on.
+const getBadges = async (userIds, { since = null } = {}) => {
+  const badges = await getAchievementsCollection()
+    .find({
+      userId: { $in: userIds.map(id => parseInt(id)) },
+      ...(since ? { awardedAt: { $gte: since } } : {}),
+    })
+    .toArray();
+
+  return userIds.reduce((acc, id) => {
+    const owned = badges
+      .filter(badge => badge.userId === parseInt(id))
+      .map(badge => badge.achievementId);
+    acc[id] = ACHIEVEMENTS.filter(achievement =>
+      owned.includes(achievement.id)
+    );
+    return acc;
+  }, {});
+};
+
+const formatBadgeEmojis = badges =>
+  badges.map(achievement => achievement.emoji).join('');
+
+module.exports = {
+  ACHIEVEMENTS,
+  checkAnswerAchievements,
+  checkCompletionAchievements,
+  getBadges,
+  formatBadgeEmojis,
+};
@@ -0,0 +1,155 @@
+// services/attempts.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../config/default');
+const { getQuiz, getAttemptLength } = require('./quizService');
+const { getGemsForScore, awardGems } = require('./gems');
+const { clearQuizSession } = require('./sessionManager');
+const { clearQuestionTimer } = require('./questionTimer');
+
+const getUserQuizCollection = () => mongoose.connection.collection('userQuiz');
+
+const createPracticeId = () => crypto.randomBytes(6).toString('hex');
+
+// Where an attempt is recorded: the player's one scored attempt per quiz
+// lives in userQuiz, practice rounds each get a document in practiceAttempts
+// so they never reach the leaderboards, gems or prize draws
+const getAttemptStore = (userId, quizId, practiceId = null) =>
+  practiceId
+    ? {
+        collection: mongoose.connection.collection('practiceAttempts'),
+        filter: { practiceId },
+      }
+    : {
+        collection: getUserQuizCollection(),
+        filter: { userId: parseInt(userId), quizId: parseInt(quizId) },
+      };
+
+const getExpiryCutoff = () =>
+  new Date(Date.now() - config.attempts.expiryHours * 60 * 60 * 1000);
+
+// Scores an attempt with the answers recorded so far and marks it completed.
+// A quiz that was already completed keeps its result and never pays out
+// twice, practice rounds never pay out. Returns the numbers shown to the
+// player.
+const finalizeAttempt = async (
+  userId,
+  quiz,
+  { username, startTime, expired = false, practiceId = null } = {}
+) => {
+  const { collection, filter } = getAttemptStore(
+    userId,
+    quiz.quizId,
+    practiceId
+  );
+  const userQuiz = await collection.findOne(filter);
+
+  const totalQuestions = getAttemptLength(quiz, userQuiz || {});
+  const correctAnswers = userQuiz?.correctAnswers || 0;
+  const bonusPoints = userQuiz?.bonusPoints || 0;
+  const finishedAt = new Date();
+  const startedAt = new Date(userQuiz?.startedAt || startTime || finishedAt);
+  const durationMs = finishedAt.getTime() - startedAt.getTime();
+
+  if (userQuiz?.completed) {
+    return {
+      correctAnswers: userQuiz.finalScore ?? correctAnswers,
+      totalQuestions: userQuiz.totalQuestions || totalQuestions,
+      bonusPoints,
+      durationMs: userQuiz.durationMs ?? durationMs,
+      gemsEarned: userQuiz.gemsEarned || 0,
+      finishedAt: userQuiz.finishedAt || finishedAt,
+    };
+  }
+
+  const gemsEarned = practiceId
+    ? 0
+    : getGemsForScore(quiz, correctAnswers, totalQuestions);
+  const playerName = username || userQuiz?.username || 'Unknown';
+
+  const { matchedCount } = await collection.updateOne(
+    { ...filter, completed: { $ne: true } },
+    {
+      $set: {
+        completed: true,
+        username: playerName,
+        finalScore: correctAnswers,
+        totalQuestions: totalQuestions,
+        bonusPoints: bonusPoints,
+        // Points used for ranking, completion time breaks ties
+        score: correctAnswers + bonusPoints,
+        startedAt: startedAt,
+        finishedAt: finishedAt,
+        durationMs: durationMs,
+        gemsEarned: gemsEarned,
+        // Set when the attempt ran out of time instead of being finished
+        expired: expired,
+      },
+    },
+    { upsert: !userQuiz }
+  );
+
+  // Another request may have finished the attempt in the meantime
+  if (userQuiz && !matchedCount) {
+    return finalizeAttempt(userId, quiz, { username, startTime, practiceId });
+  }
+
+  await awardGems(userId, playerName, gemsEarned);
+
+  return {
+    correctAnswers,
+    totalQuestions,
+    bonusPoints,
+    durationMs,
+    gemsEarned,
+    finishedAt,
+  };
+};
+
+// Finalises every unfinished attempt started more than
+// config.attempts.expiryHours ago with the score earned so far, and ends the
+// matching quiz sessions. Runs lazily from the commands that start, resume or
+// rank attempts, so no scheduler is needed.
+const expireStaleAttempts = async () => {
+  const staleAttempts = await getUserQuizCollection()
+    .find({ completed: { $ne: true }, startedAt: { $lt: getExpiryCutoff() } })
+    .toArray();
+
+  for (const attempt of staleAttempts) {
+    try {
+      const quiz = await getQuiz(attempt.quizId);
+      if (!quiz) {
+        continue;
+      }
+      await finalizeAttempt(attempt.userId, quiz, { expired: true });
+      clearQuestionTimer(attempt.userId);
+      await clearQuizSession(attempt.userId, attempt.quizId);
+      console.log('[DEBUG] Expired stale attempt:', {
+        userId: attempt.userId,
+        quizId: attempt.quizId,
+      });
+    } catch (error) {
+      console.error('[DEBUG] Error expiring attempt:', error);
+    }
+  }
+
+  return staleAttempts.length;
+};
+
+// The player's most recent attempt that was closed by expireStaleAttempts
+const getLastExpiredAttempt = async userId => {
+  const [attempt] = await getUserQuizCollection()
+    .find({ userId: parseInt(userId), completed: true, expired: true })
+    .sort({ finishedAt: -1 })
+    .limit(1)
+    .toArray();
+  return attempt || null;
+};
+
+module.exports = {
+  createPracticeId,
+  getAttemptStore,
+  finalizeAttempt,
+  expireStaleAttempts,
+  getLastExpiredAttempt,
+};
@@ -0,0 +1,291 @@
+// services/daily.js
+// The daily question: one question per calendar day, the same for everyone,
+// scheduled by admins or drawn from the published quizzes. Each player gets
+// one attempt, stored in dailyResults; the daily streak and the push opt-in
+// live on the player's users document.
+const mongoose = require('mongoose');
+const { getDayKey, shuffle } = require('../utils/helpers');
+const {
+  QUIZ_AVAILABILITY,
+  getQuiz,
+  getQuizAvailability,
+  listQuizzes,
+} = require('./quizService');
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const getDailyQuestionsCollection = () =>
+  mongoose.connection.collection('dailyQuestions');
+
+const getDailyResultsCollection = () =>
+  mongoose.connection.collection('dailyResults');
+
+const getUsersCollection = () => mongoose.connection.collection('users');
+
+const getPreviousDayKey = dayKey =>
+  new Date(Date.parse(`${dayKey}T00:00:00Z`) - 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+
+// Question ids are only unique within their quiz
+const getQuestionKey = ({ quizId, questionId }) => `${quizId}:${questionId}`;
+
+// A question no earlier day has used, while there are any left. Only closed
+// quizzes are drawn from, so the daily never gives away a scored answer.
+const drawDailyQuestion = async () => {
+  const used = new Set(
+    (
+      await getDailyQuestionsCollection()
+        .find({}, { projection: { quizId: 1, questionId: 1 } })
+        .toArray()
+    ).map(getQuestionKey)
+  );
+  const closed = (await listQuizzes()).filter(
+    quiz => getQuizAvailability(quiz).state === QUIZ_AVAILABILITY.CLOSED
+  );
+  const pool = closed.flatMap(quiz =>
+    quiz.questions.map(question => ({
+      quizId: quiz.quizId,
+      questionId: question.id,
+    }))
+  );
+  const fresh = pool.filter(item => !used.has(getQuestionKey(item)));
+  return shuffle(fresh.length ? fresh : pool)[0] || null;
+};
+
+// The question of a day, drawn the first time anyone asks for it unless an
+// admin scheduled one. Null when no closed quiz has questions to draw from.
+const getDailyQuestion = async (date = getDayKey()) => {
+  const collection = getDailyQuestionsCollection();
+  const existing = await collection.findOne({ date });
+  if (existing) {
+    return existing;
+  }
+
+  const drawn = await drawDailyQuestion();
+  if (!drawn) {
+    return null;
+  }
+  // Players asking at the same moment all get the first draw
+  await collection.updateOne(
+    { date },
+    { $setOnInsert: { ...drawn, scheduled: false, createdAt: new Date() } },
+    { upsert: true }
+  );
+  return collection.findOne({ date });
+};
+
+// Sets the question of a future day, or of today while nobody has seen it
+const scheduleDailyQuestion = async (date, quizId, questionNumber, adminId) => {
+  if (!DAY_KEY_PATTERN.test(date || '') || isNaN(Date.parse(date))) {
+    throw new Error('The date must look like 2024-10-31');
+  }
+  const today = getDayKey();
+  if (date < today) {
+    throw new Error(`${date} is in the past`);
+  }
+  if (
+    date === today &&
+    (await getDailyQuestionsCollection().findOne({ date }))
+  ) {
+    throw new Error("Today's question has already been served");
+  }
+
+  const quiz = await getQuiz(quizId);
+  if (!quiz) {
+    throw new Error(`Published quiz ${quizId} not found`);
+  }
+  const question = quiz.questions[parseInt(questionNumber, 10) - 1];
+  if (!question) {
+    throw new Error(
+      `Quiz ${quiz.quizId} has questions 1 to ${quiz.questions.length}`
+    );
+  }
+
+  await getDailyQuestionsCollection().updateOne(
+    { date },
+    {
+      $set: {
+        quizId: quiz.quizId,
+        questionId: question.id,
+        scheduled: true,
+        scheduledBy: parseInt(adminId),
+        createdAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+  return { date, quiz, question };
+};
+
+const getDailyResult = (date, userId) =>
+  getDailyResultsCollection().findOne({ date, userId: parseInt(userId) });
+
+// Takes the player's one attempt of the day. Returns false when they
+// already had it.
+const claimDailyAttempt = async (date, user) => {
+  const { upsertedCount } = await getDailyResultsCollection().updateOne(
+    { date, userId: parseInt(user.id) },
+    {
+      $setOnInsert: {
+        username: user.username || 'Unknown',
+        startedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+  return upsertedCount > 0;
+};
+
+// Lets a player try again when their attempt could not be started
+const releaseDailyAttempt = async (date, userId) => {
+  await getDailyResultsCollection().deleteOne({
+    date,
+    userId: parseInt(userId),
+    completed: { $ne: true },
+  });
+};
+
+// Days in a row with a right answer. A streak stays current until a whole
+// day is missed.
+const getCurrentDailyStreak = (user, today = getDayKey()) =>
+  user?.lastDailyDate === today ||
+  user?.lastDailyDate === getPreviousDayKey(today)
+    ? user.dailyStreak || 0
+    : 0;
+
+// Stores the answer of the day and moves the player's daily streak on: a
+// right answer the day after the last one extends it, a wrong one resets it.
+// Returns { dailyStreak, bestDailyStreak }.
+const recordDailyResult = async (date, userId, { correct, durationMs }) => {
+  const id = parseInt(userId);
+  const { matchedCount } = await getDailyResultsCollection().updateOne(
+    { date, userId: id, completed: { $ne: true } },
+    {
+      $set: { correct, durationMs, completed: true, finishedAt: new Date() },
+    }
+  );
+
+  const user = await getUsersCollection().findOne({ userId: id });
+  // Recorded before, e.g. when the results were sent again by /resume
+  if (!matchedCount) {
+    return {
+      dailyStreak: getCurrentDailyStreak(user, date),
+      bestDailyStreak: user?.bestDailyStreak || 0,
+    };
+  }
+
+  const dailyStreak = correct
+    ? user?.lastDailyDate === getPreviousDayKey(date)
+      ? (user.dailyStreak || 0) + 1
+      : 1
+    : 0;
+  const { value: updated } = await getUsersCollection().findOneAndUpdate(
+    { userId: id },
+    {
+      $set: {
+        dailyStreak,
+        ...(correct ? { lastDailyDate: date } : {}),
+      },
+      $max: { bestDailyStreak: dailyStreak },
+      $setOnInsert: { createdAt: new Date() },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return { dailyStreak, bestDailyStreak: updated?.bestDailyStreak || 0 };
+};
+
+// How everyone did on a day's question so far
+const getDailyStats = async date => {
+  const [stats] = await getDailyResultsCollection()
+    .aggregate([
+      { $match: { date, completed: true } },
+      {
+        $group: {
+          _id: null,
+          players: { $sum: 1 },
+          correct: { $sum: { $cond: ['$correct', 1, 0] } },
+        },
+      },
+    ])
+    .toArray();
+  return { players: stats?.players || 0, correct: stats?.correct || 0 };
+};
+
+// Ranks players by days answered right, then by the fastest total time on
+// those days. Each entry carries the player's users document for the streak.
+const getDailyBoard = async ({ limit = 10 } = {}) =>
+  getDailyResultsCollection()
+    .aggregate([
+      { $match: { completed: true } },
+      { $sort: { date: 1 } },
+      {
+        $group: {
+          _id: '$userId',
+          username: { $last: '$username' },
+          correctDays: { $sum: { $cond: ['$correct', 1, 0] } },
+          daysPlayed: { $sum: 1 },
+          totalTime: {
+            $sum: { $cond: ['$correct', { $ifNull: ['$durationMs', 0] }, 0] },
+          },
+        },
+      },
+      { $sort: { correctDays: -1, totalTime: 1, _id: 1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: 'userId',
+          as: 'user',
+        },
+      },
+      { $addFields: { user: { $arrayElemAt: ['$user', 0] } } },
+    ])
+    .toArray();
+
+const setDailyPush = async (user, enabled) => {
+  await getUsersCollection().updateOne(
+    { userId: parseInt(user.id) },
+    {
+      $set: { dailyPush: enabled },
+      $setOnInsert: {
+        username: user.username || 'Unknown',
+        createdAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+};
+
+// Players who opted in and have not been sent the question of this day
+const getDailyPushRecipients = (date, limit) =>
+  getUsersCollection()
+    .find({ dailyPush: true, lastDailyPushDate: { $ne: date } })
+    .limit(limit)
+    .toArray();
+
+// Records the push before it is sent, so overlapping runs send it once.
+// Returns false when another run got there first.
+const claimDailyPush = async (date, userId) => {
+  const { matchedCount } = await getUsersCollection().updateOne(
+    { userId: parseInt(userId), lastDailyPushDate: { $ne: date } },
+    { $set: { lastDailyPushDate: date } }
+  );
+  return matchedCount > 0;
+};
+
+module.exports = {
+  getDailyQuestion,
+  scheduleDailyQuestion,
+  getDailyResult,
+  claimDailyAttempt,
+  releaseDailyAttempt,
+  getCurrentDailyStreak,
+  recordDailyResult,
+  getDailyStats,
+  getDailyBoard,
+  setDailyPush,
+  getDailyPushRecipients,
+  claimDailyPush,
+};
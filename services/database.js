@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const config = require('../config/default');
+const { seedQuizCollection, migrateQuestionIds } = require('./quizService');
 
 let isConnected = false;
 
@@ -123,13 +124,6 @@ const clearDatabase = async () => {
       }
     }
 
-    // Reset session data
-    if (global.userSessions) {
-      global.userSessions.clear();
-    } else {
-      global.userSessions = new Map();
-    }
-
     console.log('Database cleanup completed successfully');
   } catch (error) {
     console.error('Error during database cleanup:', error);
@@ -137,6 +131,58 @@ const clearDatabase = async () => {
   }
 };
 
+// createIndex fails with IndexOptionsConflict when the TTL index already
+// exists with another expiry (e.g. after ATTEMPT_EXPIRY_HOURS changed), so an
+// existing index is updated in place with collMod
+const ensureTtlIndex = async (db, collectionName, key, expireAfterSeconds) => {
+  const collection = db.collection(collectionName);
+  const existing = (await collection.indexes()).find(
+    index => JSON.stringify(index.key) === JSON.stringify(key)
+  );
+
+  if (!existing) {
+    await collection.createIndex(key, { expireAfterSeconds });
+  } else if (existing.expireAfterSeconds !== expireAfterSeconds) {
+    console.log('[DEBUG] Updating TTL index:', {
+      collectionName,
+      from: existing.expireAfterSeconds,
+      to: expireAfterSeconds,
+    });
+    await db.command({
+      collMod: collectionName,
+      index: { keyPattern: key, expireAfterSeconds },
+    });
+  }
+};
+
+// Makes the index on key unique, replacing a non-unique one from an older
+// version. Keeps the old index if the collection already has duplicates.
+const ensureUniqueIndex = async (db, collectionName, key) => {
+  const collection = db.collection(collectionName);
+  const existing = (await collection.indexes()).find(
+    index => JSON.stringify(index.key) === JSON.stringify(key)
+  );
+  if (existing?.unique) {
+    return;
+  }
+
+  if (existing) {
+    await collection.dropIndex(existing.name);
+  }
+  try {
+    await collection.createIndex(key, { unique: true });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    console.error('[DEBUG] Duplicates prevent a unique index:', {
+      collectionName,
+      key,
+    });
+    await collection.createIndex(key);
+  }
+};
+
 const initializeDatabase = async () => {
   if (!isConnected) {
     await connectToDatabase();
@@ -157,15 +203,122 @@ const initializeDatabase = async () => {
     );
     await userQuizCollection.createIndex({ userId: 1 });
     await userQuizCollection.createIndex({ completed: 1 });
+    await userQuizCollection.createIndex({ completed: 1, startedAt: 1 });
+
+    // Practice rounds, kept apart from the scored attempts in userQuiz
+    await db.createCollection('practiceAttempts');
+    const practiceAttemptsCollection = db.collection('practiceAttempts');
+    await practiceAttemptsCollection.createIndex(
+      { practiceId: 1 },
+      { unique: true }
+    );
+    await practiceAttemptsCollection.createIndex({ userId: 1, quizId: 1 });
 
     // Sessions collection
     await db.createCollection('sessions');
     const sessionsCollection = db.collection('sessions');
     await sessionsCollection.createIndex({ userId: 1 }, { unique: true });
-    await sessionsCollection.createIndex(
+    // Idle sessions go after a day, but never before their attempt expires
+    await ensureTtlIndex(
+      db,
+      'sessions',
       { lastAccess: 1 },
-      { expireAfterSeconds: 86400 }
-    ); // 24 hours
+      Math.max(86400, config.attempts.expiryHours * 3600)
+    );
+
+    // Quizzes collection
+    await db.createCollection('quizzes');
+    const quizzesCollection = db.collection('quizzes');
+    await quizzesCollection.createIndex({ quizId: 1 }, { unique: true });
+    await quizzesCollection.createIndex({ status: 1 });
+    await seedQuizCollection();
+    await migrateQuestionIds();
+
+    // Users collection, one document per player with their gem balance
+    await db.createCollection('users');
+    const usersCollection = db.collection('users');
+    await usersCollection.createIndex({ userId: 1 }, { unique: true });
+
+    // Group chats each player is active in, for group leaderboards
+    await db.createCollection('groupMembers');
+    const groupMembersCollection = db.collection('groupMembers');
+    await groupMembersCollection.createIndex(
+      { chatId: 1, userId: 1 },
+      { unique: true }
+    );
+    await groupMembersCollection.createIndex({ userId: 1 });
+
+    // At most one self-updating leaderboard pinned per group
+    await db.createCollection('pinnedLeaderboards');
+    const pinnedLeaderboardsCollection = db.collection('pinnedLeaderboards');
+    await pinnedLeaderboardsCollection.createIndex(
+      { chatId: 1 },
+      { unique: true }
+    );
+
+    // Live group quizzes, and each player's totals for a game
+    await db.createCollection('liveGames');
+    const liveGamesCollection = db.collection('liveGames');
+    await liveGamesCollection.createIndex({ gameId: 1 }, { unique: true });
+    await liveGamesCollection.createIndex({ chatId: 1, status: 1 });
+
+    await db.createCollection('liveResults');
+    const liveResultsCollection = db.collection('liveResults');
+    await liveResultsCollection.createIndex(
+      { gameId: 1, userId: 1 },
+      { unique: true }
+    );
+    await liveResultsCollection.createIndex({ chatId: 1, completed: 1 });
+
+    // Head-to-head duels, and the Elo rating each player earns in them
+    await db.createCollection('duels');
+    const duelsCollection = db.collection('duels');
+    await duelsCollection.createIndex({ duelId: 1 }, { unique: true });
+    await duelsCollection.createIndex({ status: 1, createdAt: 1 });
+
+    await db.createCollection('duelRatings');
+    const duelRatingsCollection = db.collection('duelRatings');
+    await duelRatingsCollection.createIndex({ userId: 1 }, { unique: true });
+    await duelRatingsCollection.createIndex({ rating: -1 });
+
+    // Teams, and which team each player is in (at most one)
+    await db.createCollection('teams');
+    const teamsCollection = db.collection('teams');
+    await teamsCollection.createIndex({ teamId: 1 }, { unique: true });
+    await teamsCollection.createIndex({ code: 1 }, { unique: true });
+    await teamsCollection.createIndex({ nameKey: 1 }, { unique: true });
+
+    await db.createCollection('teamMembers');
+    const teamMembersCollection = db.collection('teamMembers');
+    await teamMembersCollection.createIndex({ userId: 1 }, { unique: true });
+    await teamMembersCollection.createIndex({ teamId: 1 });
+
+    // Badges, each awarded to a player at most once
+    await db.createCollection('achievements');
+    const achievementsCollection = db.collection('achievements');
+    await achievementsCollection.createIndex(
+      { userId: 1, achievementId: 1 },
+      { unique: true }
+    );
+
+    // The question of each day, and each player's one answer to it
+    await db.createCollection('dailyQuestions');
+    const dailyQuestionsCollection = db.collection('dailyQuestions');
+    await dailyQuestionsCollection.createIndex({ date: 1 }, { unique: true });
+
+    await db.createCollection('dailyResults');
+    const dailyResultsCollection = db.collection('dailyResults');
+    await dailyResultsCollection.createIndex(
+      { date: 1, userId: 1 },
+      { unique: true }
+    );
+    await dailyResultsCollection.createIndex({ completed: 1, userId: 1 });
+
+    // Draws collection, the audit trail of prize draws
+    await db.createCollection('draws');
+    const drawsCollection = db.collection('draws');
+    await drawsCollection.createIndex({ drawId: 1 }, { unique: true });
+    await ensureUniqueIndex(db, 'draws', { quizId: 1 });
 
     console.log('Database initialized successfully');
   } catch (error) {
@@ -187,17 +340,15 @@ const resetUserProgress = async userId => {
     await mongoose.connection.collection('userQuiz').deleteMany({
       userId: parseInt(userId),
     });
+    await mongoose.connection.collection('practiceAttempts').deleteMany({
+      userId: parseInt(userId),
+    });
 
     // Remove user's session data
     await mongoose.connection.collection('sessions').deleteOne({
       userId: parseInt(userId),
     });
 
-    // Clear user's session from memory
-    if (global.userSessions?.has(userId)) {
-      global.userSessions.delete(userId);
-    }
-
     await session.commitTransaction();
     console.log(`Reset progress for user: ${userId}`);
     return true;
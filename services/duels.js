@@ -0,0 +1,339 @@
+// services/duels.js
+// Head-to-head challenges: both players answer the same questions in their
+// private chats, the most correct answers win and time breaks ties. Results
+// feed an Elo rating kept apart from the quiz leaderboard.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../config/default');
+const {
+  createAttemptOrder,
+  getQuizAvailability,
+  QUIZ_AVAILABILITY,
+} = require('./quizService');
+
+const DUEL_STATUS = {
+  // Sent, the challenger may already play their round
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  FINISHED: 'finished',
+  DECLINED: 'declined',
+  // Not played by both players within config.duels.expiryHours
+  EXPIRED: 'expired',
+};
+
+const getDuelsCollection = () => mongoose.connection.collection('duels');
+
+const getDuelRatingsCollection = () =>
+  mongoose.connection.collection('duelRatings');
+
+const toPlayer = user => ({
+  userId: parseInt(user.userId ?? user.id),
+  username: user.username || user.first_name || 'Unknown',
+});
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Looks a player up by Telegram username among everyone the bot has seen
+const findPlayerByUsername = async username => {
+  const filter = {
+    username: new RegExp(`^${escapeRegExp(username.replace(/^@/, ''))}$`, 'i'),
+  };
+  for (const name of ['groupMembers', 'userQuiz', 'users', 'duelRatings']) {
+    const found = await mongoose.connection.collection(name).findOne(filter);
+    if (found) {
+      return toPlayer(found);
+    }
+  }
+  return null;
+};
+
+// Duel rounds show the correct answer after every question, so a duel may
+// only use a closed quiz or one both players have completed. Any other
+// quiz is still scored for gems and prize draws.
+const isDuelQuiz = async (quiz, playerIds) => {
+  if (getQuizAvailability(quiz).state === QUIZ_AVAILABILITY.CLOSED) {
+    return true;
+  }
+  const completed = await mongoose.connection
+    .collection('userQuiz')
+    .countDocuments({
+      quizId: quiz.quizId,
+      userId: { $in: playerIds.map(id => parseInt(id)) },
+      completed: true,
+    });
+  return completed === playerIds.length;
+};
+
+// The quizzes two players can duel on, see isDuelQuiz
+const getDuelQuizzes = async (quizzes, playerIds) => {
+  const allowed = [];
+  for (const quiz of quizzes) {
+    if (await isDuelQuiz(quiz, playerIds)) {
+      allowed.push(quiz);
+    }
+  }
+  return allowed;
+};
+
+const createDuel = async (quiz, challenger, opponent) => {
+  const players = [toPlayer(challenger), toPlayer(opponent)];
+  if (
+    !(await isDuelQuiz(
+      quiz,
+      players.map(player => player.userId)
+    ))
+  ) {
+    throw new Error(
+      `Quiz ${quiz.quizId} can only be used for a duel once it has closed or both players have completed it`
+    );
+  }
+
+  const { questionOrder, optionOrder } = createAttemptOrder(quiz);
+  const duel = {
+    duelId: crypto.randomBytes(4).toString('hex'),
+    quizId: quiz.quizId,
+    // Both players get these questions, with the options in the same order
+    questionOrder,
+    optionOrder,
+    challenger: players[0],
+    opponent: players[1],
+    status: DUEL_STATUS.PENDING,
+    // Set when each player starts and finishes their round, by userId
+    startedAt: {},
+    results: {},
+    createdAt: new Date(),
+  };
+  await getDuelsCollection().insertOne(duel);
+  return duel;
+};
+
+const getDuel = duelId => getDuelsCollection().findOne({ duelId });
+
+// Marks duels still pending or active expiryHours after the challenge as
+// expired, so an ignored or half played challenge doesn't stay open forever.
+// Returns the duels it expired; each is claimed with its own update, so two
+// callers never both get the same one.
+const expireStaleDuels = async () => {
+  const collection = getDuelsCollection();
+  const stale = {
+    status: { $in: [DUEL_STATUS.PENDING, DUEL_STATUS.ACTIVE] },
+    createdAt: {
+      $lt: new Date(Date.now() - config.duels.expiryHours * 3600 * 1000),
+    },
+  };
+
+  const expired = [];
+  for (const { duelId } of await collection.find(stale).toArray()) {
+    const { value } = await collection.findOneAndUpdate(
+      { duelId, ...stale },
+      { $set: { status: DUEL_STATUS.EXPIRED, expiredAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (value) {
+      expired.push(value);
+    }
+  }
+  return expired;
+};
+
+const deleteDuel = async duelId => {
+  await getDuelsCollection().deleteOne({ duelId });
+};
+
+// Only the challenged player can answer a pending duel. Both return the
+// duel, or null when it was not pending any more.
+const respondToDuel = async (duelId, userId, status) => {
+  const { value } = await getDuelsCollection().findOneAndUpdate(
+    {
+      duelId,
+      'opponent.userId': parseInt(userId),
+      status: DUEL_STATUS.PENDING,
+    },
+    { $set: { status, respondedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  return value;
+};
+
+const acceptDuel = (duelId, userId) =>
+  respondToDuel(duelId, userId, DUEL_STATUS.ACTIVE);
+
+const declineDuel = (duelId, userId) =>
+  respondToDuel(duelId, userId, DUEL_STATUS.DECLINED);
+
+// Lets each player start their round once. The challenger may play before
+// the duel is accepted. Returns the duel, or null when not allowed.
+const claimDuelRound = async (duelId, userId) => {
+  const id = parseInt(userId);
+  const { value } = await getDuelsCollection().findOneAndUpdate(
+    {
+      duelId,
+      [`startedAt.${id}`]: { $exists: false },
+      $or: [
+        {
+          'challenger.userId': id,
+          status: { $in: [DUEL_STATUS.PENDING, DUEL_STATUS.ACTIVE] },
+        },
+        { 'opponent.userId': id, status: DUEL_STATUS.ACTIVE },
+      ],
+    },
+    { $set: { [`startedAt.${id}`]: new Date() } },
+    { returnDocument: 'after' }
+  );
+  return value;
+};
+
+// Most correct answers wins, then the faster round. Null for a draw.
+const getDuelWinner = duel => {
+  const [first, second] = [duel.challenger, duel.opponent].map(player => ({
+    ...player,
+    ...duel.results[player.userId],
+  }));
+  if (first.correctAnswers !== second.correctAnswers) {
+    return first.correctAnswers > second.correctAnswers
+      ? first.userId
+      : second.userId;
+  }
+  if (first.durationMs !== second.durationMs) {
+    return first.durationMs < second.durationMs ? first.userId : second.userId;
+  }
+  return null;
+};
+
+const getRating = async userId =>
+  (await getDuelRatingsCollection().findOne({ userId: parseInt(userId) }))
+    ?.rating ?? config.duels.initialRating;
+
+// Standard Elo: the expected score follows from the rating gap, and the
+// rating moves by kFactor times the surprise
+const getRatingChange = (rating, opponentRating, score) => {
+  const expected = 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+  return Math.round(config.duels.kFactor * (score - expected));
+};
+
+// Moves a rating by change and returns the new rating. The first duel
+// creates the document at the initial rating; after that the rating only
+// moves with $inc, so two duels of one player settling at once both count.
+const saveRating = async (player, change, outcome) => {
+  const collection = getDuelRatingsCollection();
+  await collection.updateOne(
+    { userId: player.userId },
+    {
+      $setOnInsert: {
+        rating: config.duels.initialRating,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        createdAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+
+  const { value } = await collection.findOneAndUpdate(
+    { userId: player.userId },
+    {
+      $set: { username: player.username, updatedAt: new Date() },
+      $inc: {
+        rating: change,
+        wins: outcome === 'win' ? 1 : 0,
+        losses: outcome === 'loss' ? 1 : 0,
+        draws: outcome === 'draw' ? 1 : 0,
+      },
+    },
+    { returnDocument: 'after' }
+  );
+  return value.rating;
+};
+
+// Stores a player's round. When it was the second one, settles the duel:
+// picks the winner and updates both ratings. Returns the finished duel with
+// winnerId and ratings ({ userId: { before, after } }), or null while the
+// other player still has to play.
+const recordDuelResult = async (duelId, userId, result) => {
+  const id = parseInt(userId);
+  await getDuelsCollection().updateOne(
+    { duelId },
+    {
+      $set: {
+        [`results.${id}`]: {
+          correctAnswers: result.correctAnswers,
+          totalQuestions: result.totalQuestions,
+          durationMs: result.durationMs,
+          finishedAt: new Date(),
+        },
+      },
+    }
+  );
+
+  // Only one of two rounds finishing at once gets to settle the duel
+  const duel = await getDuel(duelId);
+  const bothPlayed = [duel.challenger, duel.opponent].every(
+    player => duel.results[player.userId]
+  );
+  if (!bothPlayed) {
+    return null;
+  }
+  const { value: settling } = await getDuelsCollection().findOneAndUpdate(
+    { duelId, status: DUEL_STATUS.ACTIVE },
+    { $set: { status: DUEL_STATUS.FINISHED, finishedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  if (!settling) {
+    return null;
+  }
+
+  const winnerId = getDuelWinner(settling);
+  const { challenger, opponent } = settling;
+  const before = {
+    [challenger.userId]: await getRating(challenger.userId),
+    [opponent.userId]: await getRating(opponent.userId),
+  };
+  const ratings = {};
+  for (const [player, other] of [
+    [challenger, opponent],
+    [opponent, challenger],
+  ]) {
+    const score = winnerId === null ? 0.5 : winnerId === player.userId ? 1 : 0;
+    const change = getRatingChange(
+      before[player.userId],
+      before[other.userId],
+      score
+    );
+    const after = await saveRating(
+      player,
+      change,
+      winnerId === null ? 'draw' : score ? 'win' : 'loss'
+    );
+    ratings[player.userId] = { before: after - change, after };
+  }
+
+  await getDuelsCollection().updateOne(
+    { duelId },
+    { $set: { winnerId, ratings } }
+  );
+  return { ...settling, winnerId, ratings };
+};
+
+// Duel ranking by rating, then by wins
+const getDuelBoard = async ({ limit = 10 } = {}) =>
+  getDuelRatingsCollection()
+    .find({})
+    .sort({ rating: -1, wins: -1, userId: 1 })
+    .limit(limit)
+    .toArray();
+
+module.exports = {
+  DUEL_STATUS,
+  findPlayerByUsername,
+  getDuelQuizzes,
+  createDuel,
+  getDuel,
+  deleteDuel,
+  expireStaleDuels,
+  acceptDuel,
+  declineDuel,
+  claimDuelRound,
+  recordDuelResult,
+  getDuelBoard,
+};
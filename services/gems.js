@@ -0,0 +1,51 @@
+// services/gems.js
+const mongoose = require('mongoose');
+const config = require('../config/default');
+
+const getUsersCollection = () => mongoose.connection.collection('users');
+
+// Per-quiz settings win over the defaults from config
+const getGemRule = quiz => ({
+  threshold: quiz.gemThreshold || config.gems.threshold,
+  reward: quiz.gemReward || config.gems.reward,
+});
+
+// Gems for a finished quiz: the full reward at or above the threshold
+// percentage of correct answers, nothing below it
+const getGemsForScore = (quiz, correctAnswers, totalQuestions) => {
+  const { threshold, reward } = getGemRule(quiz);
+  if (!totalQuestions) {
+    return 0;
+  }
+  // Compare without rounding so 17/20 never counts as 90%
+  return correctAnswers * 100 >= threshold * totalQuestions ? reward : 0;
+};
+
+const awardGems = async (userId, username, gems) => {
+  if (!gems) {
+    return;
+  }
+  await getUsersCollection().updateOne(
+    { userId: parseInt(userId) },
+    {
+      $set: { username: username || 'Unknown', updatedAt: new Date() },
+      $inc: { gems },
+      $setOnInsert: { createdAt: new Date() },
+    },
+    { upsert: true }
+  );
+};
+
+const getGemBalance = async userId => {
+  const user = await getUsersCollection().findOne({
+    userId: parseInt(userId),
+  });
+  return user?.gems || 0;
+};
+
+module.exports = {
+  getGemRule,
+  getGemsForScore,
+  awardGems,
+  getGemBalance,
+};
@@ -0,0 +1,102 @@
+// services/groups.js
+// Which group chats each player is active in, so a leaderboard shown in a
+// group only ranks its members, and the self-updating leaderboards admins
+// pin in groups.
+const mongoose = require('mongoose');
+
+const getGroupMembersCollection = () =>
+  mongoose.connection.collection('groupMembers');
+
+const getPinnedLeaderboardsCollection = () =>
+  mongoose.connection.collection('pinnedLeaderboards');
+
+const isGroupChat = chat => ['group', 'supergroup'].includes(chat?.type);
+
+// Members are recorded on every group update, so a known member is only
+// written again when their username changed or lastSeenAt is this old
+const LAST_SEEN_REFRESH_MS = 60 * 60 * 1000;
+
+const recordGroupMember = async (chatId, user) => {
+  const collection = getGroupMembersCollection();
+  const userId = parseInt(user.id);
+  const username = user.username || 'Unknown';
+  const member = await collection.findOne(
+    { chatId, userId },
+    { projection: { username: 1, lastSeenAt: 1 } }
+  );
+  if (
+    member?.username === username &&
+    Date.now() - member.lastSeenAt < LAST_SEEN_REFRESH_MS
+  ) {
+    return;
+  }
+
+  await collection.updateOne(
+    { chatId, userId },
+    {
+      $set: { username, lastSeenAt: new Date() },
+      $setOnInsert: { joinedAt: new Date() },
+    },
+    { upsert: true }
+  );
+};
+
+const removeGroupMember = async (chatId, userId) => {
+  await getGroupMembersCollection().deleteOne({
+    chatId,
+    userId: parseInt(userId),
+  });
+};
+
+const getGroupMemberIds = async chatId =>
+  (
+    await getGroupMembersCollection()
+      .find({ chatId }, { projection: { userId: 1 } })
+      .toArray()
+  ).map(member => member.userId);
+
+// The group's pinned leaderboard is replaced, never duplicated. Returns the
+// one it replaced, if any.
+const savePinnedLeaderboard = async (chatId, messageId, period) => {
+  const collection = getPinnedLeaderboardsCollection();
+  const previous = await collection.findOne({ chatId });
+  await collection.updateOne(
+    { chatId },
+    { $set: { messageId, period, updatedAt: new Date() } },
+    { upsert: true }
+  );
+  return previous;
+};
+
+const getPinnedLeaderboard = chatId =>
+  getPinnedLeaderboardsCollection().findOne({ chatId });
+
+// Pinned leaderboards of the groups a player is a member of
+const getPinnedLeaderboardsForUser = async userId => {
+  const chatIds = (
+    await getGroupMembersCollection()
+      .find({ userId: parseInt(userId) }, { projection: { chatId: 1 } })
+      .toArray()
+  ).map(member => member.chatId);
+  if (!chatIds.length) {
+    return [];
+  }
+  return getPinnedLeaderboardsCollection()
+    .find({ chatId: { $in: chatIds } })
+    .toArray();
+};
+
+const removePinnedLeaderboard = async chatId => {
+  await getPinnedLeaderboardsCollection().deleteOne({ chatId });
+};
+
+module.exports = {
+  isGroupChat,
+  recordGroupMember,
+  removeGroupMember,
+  getGroupMemberIds,
+  savePinnedLeaderboard,
+  getPinnedLeaderboard,
+  getPinnedLeaderboardsForUser,
+  removePinnedLeaderboard,
+};
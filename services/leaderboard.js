@@ -0,0 +1,252 @@
+// services/leaderboard.js
+const mongoose = require('mongoose');
+const config = require('../config/default');
+const { startOfPeriod } = require('../utils/helpers');
+
+// Time windows for /leaderboard, cut in the configured timezone
+const LEADERBOARD_PERIODS = ['day', 'week', 'month', 'season', 'all'];
+
+// Points for one completed quiz. Results stored before speed bonuses existed
+// only have correctAnswers.
+const POINTS_EXPRESSION = { $ifNull: ['$score', '$correctAnswers'] };
+
+// Totals each player is ranked on, for a $group by userId
+const PLAYER_TOTALS = {
+  totalGems: { $sum: { $ifNull: ['$gemsEarned', 0] } },
+  totalScore: { $sum: POINTS_EXPRESSION },
+  totalTime: { $sum: { $ifNull: ['$durationMs', 0] } },
+};
+
+// Leaderboard order: gems, then points, then the fastest total time
+const RANK_ORDER = { totalGems: -1, totalScore: -1, totalTime: 1, _id: 1 };
+
+// When a leaderboard period began, null for all time
+const getPeriodStart = (period, now = new Date()) => {
+  switch (period) {
+    case 'day':
+    case 'week':
+    case 'month':
+      return startOfPeriod(period, now);
+    case 'season': {
+      const seasonStart = new Date(config.leaderboard.seasonStart);
+      return config.leaderboard.seasonStart && !isNaN(seasonStart.getTime())
+        ? seasonStart
+        : startOfPeriod('quarter', now);
+    }
+    default:
+      return null;
+  }
+};
+
+// Only these players, e.g. the members of a group chat
+const userIdsFilter = userIds =>
+  userIds ? { userId: { $in: userIds.map(id => parseInt(id)) } } : {};
+
+// Ranks players by gems, then total points, then total completion time
+// (faster wins). With since, only quizzes finished from then on count. With
+// a group chatId, the live quizzes played in that group count too.
+const getLeaderboard = async ({
+  limit = 10,
+  since = null,
+  userIds = null,
+  chatId = null,
+} = {}) => {
+  const userQuizCollection = mongoose.connection.collection('userQuiz');
+  const match = {
+    completed: true,
+    ...(since ? { finishedAt: { $gte: since } } : {}),
+    ...userIdsFilter(userIds),
+  };
+
+  return userQuizCollection
+    .aggregate([
+      {
+        $match: match,
+      },
+      ...(chatId
+        ? [
+            {
+              $unionWith: {
+                coll: 'liveResults',
+                pipeline: [{ $match: { ...match, chatId } }],
+              },
+            },
+          ]
+        : []),
+      {
+        $sort: { quizId: 1 },
+      },
+      {
+        $group: {
+          _id: '$userId',
+          username: { $last: '$username' },
+          ...PLAYER_TOTALS,
+          quizzes: {
+            $push: {
+              quizId: '$quizId',
+              score: '$correctAnswers',
+              bonusPoints: '$bonusPoints',
+              totalQuestions: '$totalQuestions',
+              durationMs: '$durationMs',
+              gemsEarned: '$gemsEarned',
+              live: '$live',
+            },
+          },
+          quizCount: { $sum: 1 },
+        },
+      },
+      {
+        $sort: RANK_ORDER,
+      },
+      {
+        $limit: limit,
+      },
+    ])
+    .toArray();
+};
+
+// Correct answers of one completed quiz, for results stored before
+// finalScore existed too
+const CORRECT_EXPRESSION = { $ifNull: ['$finalScore', '$correctAnswers'] };
+
+// Ranks the players of one quiz by points, then completion time, and
+// summarises how everyone did
+const getQuizLeaderboard = async (
+  quizId,
+  { limit = 10, userIds = null } = {}
+) => {
+  const userQuizCollection = mongoose.connection.collection('userQuiz');
+  const match = {
+    completed: true,
+    quizId: parseInt(quizId, 10),
+    ...userIdsFilter(userIds),
+  };
+
+  const [entries, [stats]] = await Promise.all([
+    userQuizCollection
+      .aggregate([
+        { $match: match },
+        {
+          $addFields: {
+            points: POINTS_EXPRESSION,
+            correct: CORRECT_EXPRESSION,
+            // Results without a time rank after the timed ones
+            time: { $ifNull: ['$durationMs', Number.MAX_SAFE_INTEGER] },
+          },
+        },
+        { $sort: { points: -1, time: 1, userId: 1 } },
+        { $limit: limit },
+      ])
+      .toArray(),
+    userQuizCollection
+      .aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            participants: { $sum: 1 },
+            averageCorrect: { $avg: CORRECT_EXPRESSION },
+            averagePercent: {
+              $avg: {
+                $cond: [
+                  { $gt: ['$totalQuestions', 0] },
+                  {
+                    $divide: [
+                      { $multiply: [CORRECT_EXPRESSION, 100] },
+                      '$totalQuestions',
+                    ],
+                  },
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      ])
+      .toArray(),
+  ]);
+
+  return {
+    entries,
+    participants: stats?.participants || 0,
+    averageCorrect: stats?.averageCorrect || 0,
+    averagePercent: stats?.averagePercent || 0,
+  };
+};
+
+// The fields shown for a player's neighbours in the standings
+const NEIGHBOUR_FIELDS = {
+  _id: '$_id',
+  username: '$username',
+  totalGems: '$totalGems',
+  totalScore: '$totalScore',
+  totalTime: '$totalTime',
+};
+
+// A player's all time totals, global rank and percentile, and the players
+// ranked just above and below them. One aggregation over the completed
+// results numbers every player in RANK_ORDER with a window stage, and only
+// this player's row leaves the database. Returns null for players without a
+// completed quiz.
+const getPlayerStanding = async userId => {
+  const userQuizCollection = mongoose.connection.collection('userQuiz');
+
+  const [player] = await userQuizCollection
+    .aggregate([
+      { $match: { completed: true } },
+      { $sort: { quizId: 1 } },
+      {
+        $group: {
+          _id: '$userId',
+          username: { $last: '$username' },
+          ...PLAYER_TOTALS,
+          quizCount: { $sum: 1 },
+          bestStreak: { $max: { $ifNull: ['$bestStreak', 0] } },
+        },
+      },
+      {
+        // RANK_ORDER ends with _id, so no two players share a position.
+        // Needs MongoDB 5.0 or later.
+        $setWindowFields: {
+          sortBy: RANK_ORDER,
+          output: {
+            rank: { $documentNumber: {} },
+            players: {
+              $count: {},
+              window: { documents: ['unbounded', 'unbounded'] },
+            },
+            above: {
+              $shift: { output: NEIGHBOUR_FIELDS, by: -1, default: null },
+            },
+            below: {
+              $shift: { output: NEIGHBOUR_FIELDS, by: 1, default: null },
+            },
+          },
+        },
+      },
+      { $match: { _id: parseInt(userId) } },
+    ])
+    .toArray();
+  if (!player) {
+    return null;
+  }
+
+  const { rank, players, above, below } = player;
+  return {
+    ...player,
+    // Share of the other players ranked below this one
+    percentile:
+      players > 1 ? Math.round(((players - rank) / (players - 1)) * 100) : 100,
+    above: above ? { ...above, rank: rank - 1 } : null,
+    below: below ? { ...below, rank: rank + 1 } : null,
+  };
+};
+
+module.exports = {
+  LEADERBOARD_PERIODS,
+  POINTS_EXPRESSION,
+  getPeriodStart,
+  getLeaderboard,
+  getQuizLeaderboard,
+  getPlayerStanding,
+};
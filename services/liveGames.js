@@ -0,0 +1,191 @@
+// services/liveGames.js
+// Live quizzes played by a whole group: every member answers the same
+// question with shared buttons. The game, its current round and the taps of
+// that round live in liveGames; each player's totals go to liveResults,
+// shaped like a userQuiz result so group leaderboards can count them.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { QUESTION_TYPES, getQuestionType } = require('./questionTypes');
+const { createAttemptOrder, getAttemptQuestion } = require('./quizService');
+
+const LIVE_GAME_STATUS = {
+  RUNNING: 'running',
+  FINISHED: 'finished',
+};
+
+const getLiveGamesCollection = () =>
+  mongoose.connection.collection('liveGames');
+
+const getLiveResultsCollection = () =>
+  mongoose.connection.collection('liveResults');
+
+// One tap per player, so only single choice and true/false questions work
+const isLiveQuestion = question =>
+  [QUESTION_TYPES.SINGLE, QUESTION_TYPES.TRUE_FALSE].includes(
+    getQuestionType(question)
+  );
+
+const getLiveGame = gameId => getLiveGamesCollection().findOne({ gameId });
+
+const getRunningGame = chatId =>
+  getLiveGamesCollection().findOne({
+    chatId,
+    status: LIVE_GAME_STATUS.RUNNING,
+  });
+
+// Picks the questions like a normal attempt would, minus the ones that
+// cannot be answered with a single tap. Returns null when none are left.
+const createLiveGame = async (chatId, quiz, startedBy) => {
+  const { questionOrder, optionOrder } = createAttemptOrder(quiz);
+  const liveOrder = questionOrder.filter(questionId =>
+    isLiveQuestion(getAttemptQuestion(quiz, { questionOrder: [questionId] }, 0))
+  );
+  if (!liveOrder.length) {
+    return null;
+  }
+
+  const game = {
+    gameId: crypto.randomBytes(4).toString('hex'),
+    chatId,
+    quizId: quiz.quizId,
+    status: LIVE_GAME_STATUS.RUNNING,
+    questionOrder: liveOrder,
+    optionOrder,
+    round: -1,
+    roundOpen: false,
+    // First tap of each player in the current round, by userId
+    answers: {},
+    rounds: [],
+    startedBy: parseInt(startedBy),
+    startedAt: new Date(),
+  };
+  await getLiveGamesCollection().insertOne(game);
+  return game;
+};
+
+// Opens the round before its question is posted, so no tap on the fresh
+// buttons finds it closed. The message id follows with setRoundMessage.
+const openRound = async (gameId, round, { deadline }) => {
+  await getLiveGamesCollection().updateOne(
+    { gameId, status: LIVE_GAME_STATUS.RUNNING },
+    {
+      $set: {
+        round,
+        roundOpen: true,
+        answers: {},
+        messageId: null,
+        roundStartedAt: Date.now(),
+        roundDeadline: deadline,
+      },
+    }
+  );
+};
+
+const setRoundMessage = async (gameId, round, messageId) => {
+  await getLiveGamesCollection().updateOne(
+    { gameId, round },
+    { $set: { messageId } }
+  );
+};
+
+// Records a player's tap if it is their first in an open round. Returns
+// false for later taps and rounds that are over.
+const recordLiveAnswer = async (gameId, round, user, optionId) => {
+  const { matchedCount } = await getLiveGamesCollection().updateOne(
+    {
+      gameId,
+      round,
+      roundOpen: true,
+      [`answers.${user.id}`]: { $exists: false },
+    },
+    {
+      $set: {
+        [`answers.${user.id}`]: {
+          optionId,
+          username: user.username || user.first_name || 'Unknown',
+          answeredAt: Date.now(),
+        },
+      },
+    }
+  );
+  return matchedCount > 0;
+};
+
+// Closes the round exactly once, for the timer or a late tap, whichever
+// comes first. Returns the game as it was, or null if already closed.
+const closeRound = async (gameId, round) => {
+  const { value } = await getLiveGamesCollection().findOneAndUpdate(
+    { gameId, round, roundOpen: true },
+    { $set: { roundOpen: false } }
+  );
+  return value;
+};
+
+// Keeps the outcome of a round, and adds it to each player's totals.
+// answers is a list of { userId, username, correct, responseMs }.
+const saveRoundResults = async (game, round, answers) => {
+  await getLiveGamesCollection().updateOne(
+    { gameId: game.gameId },
+    { $push: { rounds: { round, answers } } }
+  );
+
+  for (const { userId, username, correct, responseMs } of answers) {
+    await getLiveResultsCollection().updateOne(
+      { gameId: game.gameId, userId },
+      {
+        $set: {
+          username,
+          chatId: game.chatId,
+          quizId: game.quizId,
+          totalQuestions: game.questionOrder.length,
+        },
+        $inc: {
+          correctAnswers: correct ? 1 : 0,
+          finalScore: correct ? 1 : 0,
+          score: correct ? 1 : 0,
+          // Only correct answers count towards the time, ties go to the
+          // fastest of those
+          durationMs: correct ? responseMs : 0,
+        },
+        $setOnInsert: { gemsEarned: 0, live: true },
+      },
+      { upsert: true }
+    );
+  }
+};
+
+// Ends the game and returns its results, best first
+const finishLiveGame = async gameId => {
+  const finishedAt = new Date();
+  await getLiveGamesCollection().updateOne(
+    { gameId },
+    {
+      $set: {
+        status: LIVE_GAME_STATUS.FINISHED,
+        roundOpen: false,
+        finishedAt,
+      },
+    }
+  );
+  await getLiveResultsCollection().updateMany(
+    { gameId },
+    { $set: { completed: true, finishedAt } }
+  );
+  return getLiveResultsCollection()
+    .find({ gameId })
+    .sort({ score: -1, durationMs: 1, userId: 1 })
+    .toArray();
+};
+
+module.exports = {
+  LIVE_GAME_STATUS,
+  getLiveGame,
+  getRunningGame,
+  createLiveGame,
+  openRound,
+  setRoundMessage,
+  recordLiveAnswer,
+  closeRound,
+  saveRoundResults,
+  finishLiveGame,
+};
@@ -0,0 +1,215 @@
+// services/prizeDraw.js
+// Commit-reveal prize draw among perfect scorers. /draw freezes the entrant
+// list and publishes it with sha256(seed); /revealdraw publishes the seed,
+// the winners and every ticket. Anyone holding the seed and the entrant list
+// can recompute them: each entrant is ranked by sha256(`${seed}:${userId}`)
+// and the lowest hashes win.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { getQuiz } = require('./quizService');
+const { expireStaleAttempts } = require('./attempts');
+
+const DRAW_STATUS = {
+  COMMITTED: 'committed',
+  REVEALED: 'revealed',
+};
+
+const getDrawsCollection = () => mongoose.connection.collection('draws');
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+// The published entrant list: user ids in ascending order, comma separated.
+// Its sha256 is the entrants hash, part of the commitment, so the list
+// cannot change between the announcement and the reveal.
+const formatEntrantList = entrants =>
+  entrants.map(entrant => entrant.userId).join(',');
+
+const hashEntrants = entrants => sha256(formatEntrantList(entrants));
+
+const pickWinners = (seed, entrants, winnerCount) =>
+  entrants
+    .map(entrant => ({
+      ...entrant,
+      ticket: sha256(`${seed}:${entrant.userId}`),
+    }))
+    .sort((a, b) => (a.ticket < b.ticket ? -1 : a.ticket > b.ticket ? 1 : 0))
+    .slice(0, winnerCount);
+
+// Completed attempts where every question was answered correctly
+const getEligibleEntrants = async quizId => {
+  const results = await mongoose.connection
+    .collection('userQuiz')
+    .find({
+      quizId: parseInt(quizId, 10),
+      completed: true,
+      totalQuestions: { $gt: 0 },
+      $expr: { $eq: ['$finalScore', '$totalQuestions'] },
+    })
+    .toArray();
+
+  return results
+    .map(result => ({
+      userId: result.userId,
+      username: result.username || 'Unknown',
+    }))
+    .sort((a, b) => a.userId - b.userId);
+};
+
+const getNextDrawId = async () => {
+  const [latest] = await getDrawsCollection()
+    .find({}, { projection: { drawId: 1 } })
+    .sort({ drawId: -1 })
+    .limit(1)
+    .toArray();
+  return latest ? latest.drawId + 1 : 1;
+};
+
+// The entrant list as a file to publish at /draw, so players can check the
+// entrants hash (sha256sum of the file) and find their own id in it
+const getEntrantListFile = draw => ({
+  filename: `draw-${draw.drawId}-entrants.txt`,
+  content: formatEntrantList(draw.entrants),
+});
+
+// Every step from the seed to the winners, published at the reveal
+const getDerivationFile = draw => {
+  const tickets = pickWinners(draw.seed, draw.entrants, draw.entrants.length);
+  return {
+    filename: `draw-${draw.drawId}-derivation.txt`,
+    content: [
+      `Prize draw #${draw.drawId} for quiz ${draw.quizId}`,
+      '',
+      `seed = ${draw.seed}`,
+      `sha256(seed) = ${sha256(draw.seed)}`,
+      `published seed hash = ${draw.seedHash}`,
+      '',
+      'entrants (user ids, ascending, comma separated):',
+      formatEntrantList(draw.entrants),
+      `sha256(entrants) = ${hashEntrants(draw.entrants)}`,
+      `published entrants hash = ${draw.entrantsHash}`,
+      '',
+      `tickets, sha256("<seed>:<userId>") in ascending order; the first ${draw.winnerCount} win:`,
+      ...tickets.map(
+        (entrant, index) =>
+          `${index + 1}. ${entrant.ticket} ${entrant.userId}${
+            index < draw.winnerCount ? ' WINNER' : ''
+          }`
+      ),
+      '',
+    ].join('\n'),
+  };
+};
+
+const getDraw = async drawId =>
+  getDrawsCollection().findOne({ drawId: parseInt(drawId, 10) });
+
+const commitDraw = async ({ quizId, winnerCount, createdBy }) => {
+  const quiz = await getQuiz(quizId);
+  if (!quiz) {
+    throw new Error(`Quiz ${quizId} not found`);
+  }
+  if (quiz.closesAt && new Date(quiz.closesAt).getTime() > Date.now()) {
+    throw new Error(
+      `Quiz ${quiz.quizId} is still open; run the draw after it closes`
+    );
+  }
+  if (!Number.isInteger(winnerCount) || winnerCount <= 0) {
+    throw new Error('The number of winners must be a positive whole number');
+  }
+
+  // One draw per quiz, so an admin can't redraw until the winners suit them
+  const existing = await getDrawsCollection().findOne({ quizId: quiz.quizId });
+  if (existing) {
+    throw new Error(
+      `Quiz ${quiz.quizId} already has draw #${existing.drawId}; use /revealdraw ${existing.drawId} or /verifydraw ${existing.drawId}`
+    );
+  }
+
+  await expireStaleAttempts();
+  const entrants = await getEligibleEntrants(quiz.quizId);
+  if (!entrants.length) {
+    throw new Error(`Quiz ${quiz.quizId} has no perfect scores to draw from`);
+  }
+
+  const seed = crypto.randomBytes(32).toString('hex');
+  // Retry on duplicate ids in case two admins run /draw at the same time,
+  // unless the other one drew this quiz
+  for (let i = 0; i < 3; i++) {
+    const draw = {
+      drawId: await getNextDrawId(),
+      quizId: quiz.quizId,
+      winnerCount: Math.min(winnerCount, entrants.length),
+      entrants,
+      entrantsHash: hashEntrants(entrants),
+      seedHash: sha256(seed),
+      // Kept private until the reveal
+      seed,
+      status: DRAW_STATUS.COMMITTED,
+      winners: [],
+      createdBy,
+      createdAt: new Date(),
+    };
+
+    try {
+      await getDrawsCollection().insertOne(draw);
+      return draw;
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.quizId) {
+        throw new Error(`Quiz ${quiz.quizId} already has a draw`);
+      }
+      if (error.code !== 11000 || i === 2) {
+        throw error;
+      }
+    }
+  }
+  return null;
+};
+
+const revealDraw = async drawId => {
+  const draw = await getDraw(drawId);
+  if (!draw) {
+    throw new Error(`Draw ${drawId} not found`);
+  }
+  if (draw.status === DRAW_STATUS.REVEALED) {
+    return draw;
+  }
+
+  const winners = pickWinners(draw.seed, draw.entrants, draw.winnerCount);
+  const revealedAt = new Date();
+  await getDrawsCollection().updateOne(
+    { drawId: draw.drawId, status: DRAW_STATUS.COMMITTED },
+    { $set: { status: DRAW_STATUS.REVEALED, winners, revealedAt } }
+  );
+  return { ...draw, status: DRAW_STATUS.REVEALED, winners, revealedAt };
+};
+
+// Recomputes a revealed draw from its stored seed and entrants
+const verifyDraw = async drawId => {
+  const draw = await getDraw(drawId);
+  if (!draw) {
+    throw new Error(`Draw ${drawId} not found`);
+  }
+  if (draw.status !== DRAW_STATUS.REVEALED) {
+    throw new Error(`Draw ${drawId} has not been revealed yet`);
+  }
+
+  const expected = pickWinners(draw.seed, draw.entrants, draw.winnerCount);
+  const checks = {
+    seedMatchesHash: sha256(draw.seed) === draw.seedHash,
+    entrantsMatchHash: hashEntrants(draw.entrants) === draw.entrantsHash,
+    winnersMatch:
+      expected.map(winner => winner.userId).join(',') ===
+      draw.winners.map(winner => winner.userId).join(','),
+  };
+  return { draw, checks, valid: Object.values(checks).every(Boolean) };
+};
+
+module.exports = {
+  DRAW_STATUS,
+  getDraw,
+  getEntrantListFile,
+  getDerivationFile,
+  commitDraw,
+  revealDraw,
+  verifyDraw,
+};
@@ -0,0 +1,93 @@
+// services/progression.js
+// Which quizzes a player has finished, which are still locked behind their
+// prerequisites, and which one /start should offer next.
+const mongoose = require('mongoose');
+const {
+  QUIZ_AVAILABILITY,
+  getQuizAvailability,
+  listQuizzes,
+} = require('./quizService');
+
+// Completed attempts of a player, by quizId
+const getCompletedAttempts = async userId => {
+  const attempts = await mongoose.connection
+    .collection('userQuiz')
+    .find({ userId: parseInt(userId), completed: true })
+    .toArray();
+  return attempts.reduce((acc, attempt) => {
+    acc[attempt.quizId] = attempt;
+    return acc;
+  }, {});
+};
+
+// Compared without rounding, like the gem threshold
+const meetsPrerequisite = (attempt, minPercent) =>
+  Boolean(attempt) &&
+  (attempt.finalScore || 0) * 100 >= minPercent * (attempt.totalQuestions || 0);
+
+// Why a quiz is still locked for a player, or null when it is unlocked.
+// quizzes is used to name the quizzes that are required.
+const getLockedReason = (quiz, completedAttempts, quizzes = []) => {
+  const missing = (quiz.prerequisites || []).filter(
+    ({ quizId, minPercent }) =>
+      !meetsPrerequisite(completedAttempts[quizId], minPercent)
+  );
+  if (!missing.length) {
+    return null;
+  }
+
+  const describe = ({ quizId, minPercent }) => {
+    const required = quizzes.find(other => other.quizId === quizId);
+    const name = `Quiz ${quizId}${required ? ` (${required.title})` : ''}`;
+    return minPercent
+      ? `score ${minPercent}% or more on ${name}`
+      : `complete ${name}`;
+  };
+  return `Unlocks after you ${missing.map(describe).join(' and ')}.`;
+};
+
+// Completion and lock state of one quiz for one player
+const getQuizProgress = async (userId, quiz) => {
+  const completedAttempts = await getCompletedAttempts(userId);
+  return {
+    completed: Boolean(completedAttempts[quiz.quizId]),
+    lockedReason: getLockedReason(
+      quiz,
+      completedAttempts,
+      await listQuizzes({ includeDrafts: true })
+    ),
+  };
+};
+
+// The quiz /start offers: the lowest numbered open quiz the player has not
+// completed and has unlocked, otherwise the next such quiz to open
+const getNextQuiz = async (userId, now = Date.now()) => {
+  const completedAttempts = await getCompletedAttempts(userId);
+  const playable = (await listQuizzes()).filter(
+    quiz =>
+      !completedAttempts[quiz.quizId] &&
+      !getLockedReason(quiz, completedAttempts)
+  );
+
+  const open = playable.find(
+    quiz => getQuizAvailability(quiz, now).state === QUIZ_AVAILABILITY.OPEN
+  );
+  if (open) {
+    return open;
+  }
+
+  const upcoming = playable
+    .filter(
+      quiz =>
+        getQuizAvailability(quiz, now).state === QUIZ_AVAILABILITY.UPCOMING
+    )
+    .sort((a, b) => new Date(a.opensAt) - new Date(b.opensAt));
+  return upcoming[0] || null;
+};
+
+module.exports = {
+  getCompletedAttempts,
+  getLockedReason,
+  getQuizProgress,
+  getNextQuiz,
+};
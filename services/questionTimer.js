@@ -0,0 +1,48 @@
+// services/questionTimer.js
+// In-process countdowns for timed questions. The deadline itself lives in
+// the quiz state, so a lost timer (restart, another serverless instance) only
+// costs the live countdown: late answers are still rejected server-side.
+
+const COUNTDOWN_INTERVAL_MS = 5000;
+
+const questionTimers = new Map();
+
+const clearQuestionTimer = userId => {
+  const timer = questionTimers.get(userId.toString());
+  if (timer) {
+    clearInterval(timer.interval);
+    clearTimeout(timer.timeout);
+    questionTimers.delete(userId.toString());
+  }
+};
+
+// Calls onTick(secondsLeft) every few seconds and onExpire() at the deadline
+const startQuestionTimer = (userId, { deadline, onTick, onExpire }) => {
+  clearQuestionTimer(userId);
+
+  const interval = setInterval(async () => {
+    const secondsLeft = Math.ceil((deadline - Date.now()) / 1000);
+    if (secondsLeft <= 0) return;
+    try {
+      await onTick(secondsLeft);
+    } catch (error) {
+      console.error('[DEBUG] Error updating countdown:', error.message);
+    }
+  }, COUNTDOWN_INTERVAL_MS);
+
+  const timeout = setTimeout(async () => {
+    clearQuestionTimer(userId);
+    try {
+      await onExpire();
+    } catch (error) {
+      console.error('[DEBUG] Error handling question timeout:', error);
+    }
+  }, Math.max(0, deadline - Date.now()));
+
+  questionTimers.set(userId.toString(), { interval, timeout });
+};
+
+module.exports = {
+  startQuestionTimer,
+  clearQuestionTimer,
+};
@@ -0,0 +1,276 @@
+// services/questionTypes.js
+// Everything that differs between question types: how they are authored and
+// validated, how players answer them and how answers are checked. Questions
+// without a type are single choice, like every quiz written before types
+// existed.
+//
+// Authored (plain) shapes, as used by imports and config/quizData.js:
+//   single:    options: [text], correct: text
+//   truefalse: correct: true | false
+//   multi:     options: [text], correct: [text]
+//   numeric:   correct: number, tolerance: number (optional, default 0)
+//   text:      correct: text, accepted: [text] (optional extra variants)
+
+const QUESTION_TYPES = {
+  SINGLE: 'single',
+  TRUE_FALSE: 'truefalse',
+  MULTI: 'multi',
+  NUMERIC: 'numeric',
+  TEXT: 'text',
+};
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+// Floating point slack for numeric answers, so 3.15 is within 0.01 of 3.14
+const NUMERIC_EPSILON = 1e-9;
+
+const getQuestionType = question => question.type || QUESTION_TYPES.SINGLE;
+
+// Types answered with buttons, as opposed to a typed reply
+const hasOptions = question =>
+  [
+    QUESTION_TYPES.SINGLE,
+    QUESTION_TYPES.TRUE_FALSE,
+    QUESTION_TYPES.MULTI,
+  ].includes(getQuestionType(question));
+
+const isTypedAnswer = question => !hasOptions(question);
+
+// Options keep their order for true/false, everything else is shuffled
+const shufflesOptions = question =>
+  hasOptions(question) &&
+  getQuestionType(question) !== QUESTION_TYPES.TRUE_FALSE;
+
+const parseBoolean = value => {
+  const text = String(value).trim().toLowerCase();
+  if (['true', 't', 'yes'].includes(text)) return true;
+  if (['false', 'f', 'no'].includes(text)) return false;
+  return null;
+};
+
+// Accepts "12", "-3.5" and "3,5"; returns null for anything else
+const parseNumber = value => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  const text = String(value ?? '')
+    .trim()
+    .replace(/\s+/g, '')
+    .replace(/^(-?\d+),(\d+)$/, '$1.$2');
+  if (!/^-?(\d+\.?\d*|\.\d+)$/.test(text)) {
+    return null;
+  }
+  return Number(text);
+};
+
+// Free-text answers ignore case, extra spaces and trailing punctuation
+const normalizeText = value =>
+  String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[.!?]+$/, '');
+
+const toList = value =>
+  (Array.isArray(value) ? value : String(value ?? '').split('|'))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+// Type specific checks for a plain question, as human readable problems
+const validateAnswerFields = question => {
+  const errors = [];
+  const type = getQuestionType(question);
+  const options = Array.isArray(question.options)
+    ? question.options.filter(option => String(option).trim())
+    : [];
+
+  switch (type) {
+    case QUESTION_TYPES.SINGLE:
+      if (options.length < 2) {
+        errors.push('at least two options are required');
+      }
+      if (!question.correct || !String(question.correct).trim()) {
+        errors.push('missing correct answer');
+      } else if (options.length && !options.includes(question.correct)) {
+        errors.push('correct answer is not one of the options');
+      }
+      break;
+
+    case QUESTION_TYPES.TRUE_FALSE:
+      if (parseBoolean(question.correct) === null) {
+        errors.push('correct answer must be true or false');
+      }
+      break;
+
+    case QUESTION_TYPES.MULTI: {
+      const correct = toList(question.correct);
+      if (options.length < 2) {
+        errors.push('at least two options are required');
+      }
+      if (!correct.length) {
+        errors.push('missing correct answer');
+      } else if (correct.some(answer => !options.includes(answer))) {
+        errors.push('every correct answer must be one of the options');
+      }
+      break;
+    }
+
+    case QUESTION_TYPES.NUMERIC:
+      if (parseNumber(question.correct) === null) {
+        errors.push('correct answer must be a number');
+      }
+      if (
+        question.tolerance !== undefined &&
+        question.tolerance !== null &&
+        !(parseNumber(question.tolerance) >= 0)
+      ) {
+        errors.push('tolerance must be a number of 0 or more');
+      }
+      break;
+
+    case QUESTION_TYPES.TEXT:
+      if (!question.correct || !String(question.correct).trim()) {
+        errors.push('missing correct answer');
+      }
+      break;
+
+    default:
+      errors.push(
+        `unknown question type "${type}" (use ${Object.values(
+          QUESTION_TYPES
+        ).join(', ')})`
+      );
+  }
+
+  return errors;
+};
+
+// Fills in what a type implies, e.g. the True/False options
+const normalizeAnswerFields = question => {
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.TRUE_FALSE:
+      return {
+        ...question,
+        options: TRUE_FALSE_OPTIONS,
+        correct: parseBoolean(question.correct)
+          ? TRUE_FALSE_OPTIONS[0]
+          : TRUE_FALSE_OPTIONS[1],
+      };
+    case QUESTION_TYPES.MULTI:
+      return { ...question, correct: toList(question.correct) };
+    case QUESTION_TYPES.NUMERIC: {
+      const { tolerance, ...rest } = question;
+      return {
+        ...rest,
+        correct: parseNumber(question.correct),
+        ...(parseNumber(tolerance)
+          ? { tolerance: parseNumber(tolerance) }
+          : {}),
+      };
+    }
+    case QUESTION_TYPES.TEXT: {
+      const { accepted, ...rest } = question;
+      const variants = toList(accepted);
+      return {
+        ...rest,
+        correct: String(question.correct).trim(),
+        ...(variants.length ? { accepted: variants } : {}),
+      };
+    }
+    default:
+      return question;
+  }
+};
+
+// Checks a stored question against a player's answer: an option id for
+// single choice and true/false, a list of option ids for multi-select, and
+// the typed text for numeric and free-text questions
+const checkAnswer = (question, answer) => {
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTI: {
+      const selected = [...new Set(answer || [])].sort();
+      const correct = [...question.correctOptionIds].sort();
+      return (
+        selected.length === correct.length &&
+        selected.every((id, index) => id === correct[index])
+      );
+    }
+    case QUESTION_TYPES.NUMERIC: {
+      const value = parseNumber(answer);
+      return (
+        value !== null &&
+        Math.abs(value - question.correct) <=
+          (question.tolerance || 0) + NUMERIC_EPSILON
+      );
+    }
+    case QUESTION_TYPES.TEXT:
+      return [question.correct, ...(question.accepted || [])]
+        .map(normalizeText)
+        .includes(normalizeText(answer));
+    default:
+      return answer === question.correctOptionId;
+  }
+};
+
+// Option text with a letter for its position, replacing any letter the
+// author typed ("B) Foo") since shuffled options need new letters
+const formatOptionLabel = (question, option, position) =>
+  getQuestionType(question) === QUESTION_TYPES.TRUE_FALSE
+    ? option.text
+    : `${String.fromCharCode(65 + position)}) ${option.text.replace(
+        /^[A-Z][).]\s+/,
+        ''
+      )}`;
+
+// The right answer as shown after a question, with options labelled in the
+// order the player saw them
+const formatCorrectAnswer = question => {
+  const label = id => {
+    const position = question.options.findIndex(option => option.id === id);
+    return position === -1
+      ? ''
+      : formatOptionLabel(question, question.options[position], position);
+  };
+
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTI:
+      return question.correctOptionIds.map(label).join(', ');
+    case QUESTION_TYPES.NUMERIC:
+      return question.tolerance
+        ? `${question.correct} (±${question.tolerance})`
+        : String(question.correct);
+    case QUESTION_TYPES.TEXT:
+      return question.correct;
+    default:
+      return label(question.correctOptionId);
+  }
+};
+
+// Instructions shown under the question text
+const getAnswerHint = question => {
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTI:
+      return 'Select all that apply, then press Submit.';
+    case QUESTION_TYPES.NUMERIC:
+      return 'Type your answer as a number.';
+    case QUESTION_TYPES.TEXT:
+      return 'Type your answer as a message.';
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  getQuestionType,
+  hasOptions,
+  isTypedAnswer,
+  shufflesOptions,
+  parseNumber,
+  validateAnswerFields,
+  normalizeAnswerFields,
+  checkAnswer,
+  formatOptionLabel,
+  formatCorrectAnswer,
+  getAnswerHint,
+};
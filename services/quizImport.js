@@ -0,0 +1,328 @@
+// services/quizImport.js
+const { parseCsv, toCsv } = require('../utils/csv');
+const {
+  QUIZ_SETTINGS,
+  parseQuizSettings,
+  validateQuestion,
+  toPlainQuestion,
+} = require('./quizService');
+const { QUESTION_TYPES, hasOptions } = require('./questionTypes');
+
+const SUPPORTED_EXTENSIONS = ['json', 'csv'];
+
+const getExtension = fileName =>
+  (fileName || '').split('.').pop().toLowerCase();
+
+const isSupportedFile = fileName =>
+  SUPPORTED_EXTENSIONS.includes(getExtension(fileName));
+
+const normalizeHeader = header =>
+  header
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+
+// Accepts the option text itself, a letter (B) or a 1-based number (2)
+const resolveCorrectAnswer = (correct, options) => {
+  const value = String(correct || '').trim();
+  if (!value || options.includes(value)) {
+    return value;
+  }
+  if (/^[a-z]$/i.test(value)) {
+    return options[value.toUpperCase().charCodeAt(0) - 65] || value;
+  }
+  if (/^\d+$/.test(value)) {
+    return options[parseInt(value, 10) - 1] || value;
+  }
+  return value;
+};
+
+// Lists can be given as arrays (JSON) or as text separated by | (CSV)
+const splitList = value =>
+  Array.isArray(value) ? value : String(value ?? '').split('|');
+
+const toAnswerFields = (type, options, correct) => {
+  const cleanOptions = (options || [])
+    .map(option => String(option).trim())
+    .filter(Boolean);
+
+  switch (type) {
+    case QUESTION_TYPES.SINGLE:
+      return {
+        options: cleanOptions,
+        correct: resolveCorrectAnswer(correct, cleanOptions),
+      };
+    case QUESTION_TYPES.MULTI:
+      return {
+        options: cleanOptions,
+        correct: splitList(correct)
+          .map(answer => resolveCorrectAnswer(answer, cleanOptions))
+          .filter(Boolean),
+      };
+    // true/false, numeric and text answers are checked by validateQuestion
+    default:
+      return {
+        correct: typeof correct === 'string' ? correct.trim() : correct,
+      };
+  }
+};
+
+const toQuestion = ({
+  question,
+  type,
+  options,
+  correct,
+  link,
+  timeLimit,
+  tolerance,
+  accepted,
+  tag,
+  difficulty,
+}) => {
+  const questionType =
+    String(type || '')
+      .trim()
+      .toLowerCase() || QUESTION_TYPES.SINGLE;
+  const result = {
+    question: String(question || '').trim(),
+    ...(questionType !== QUESTION_TYPES.SINGLE ? { type: questionType } : {}),
+    ...toAnswerFields(questionType, options, correct),
+    link: String(link || '').trim(),
+  };
+  if (tolerance !== undefined && tolerance !== null && tolerance !== '') {
+    result.tolerance = tolerance;
+  }
+  const variants = splitList(accepted)
+    .map(variant => String(variant).trim())
+    .filter(Boolean);
+  if (variants.length) {
+    result.accepted = variants;
+  }
+  if (timeLimit !== undefined && timeLimit !== null && timeLimit !== '') {
+    result.timeLimit = Number(timeLimit);
+  }
+  // Used by question banks with the balanceBy setting
+  if (tag && String(tag).trim()) {
+    result.tag = String(tag).trim();
+  }
+  if (difficulty && String(difficulty).trim()) {
+    result.difficulty = String(difficulty).trim().toLowerCase();
+  }
+  return result;
+};
+
+// Validates every question and labels problems with their row number
+const collectQuestions = entries => {
+  const questions = [];
+  const errors = [];
+
+  for (const { label, data } of entries) {
+    const question = toQuestion(data);
+    const questionErrors = validateQuestion(question);
+    if (questionErrors.length) {
+      errors.push(`${label}: ${questionErrors.join('; ')}`);
+    } else {
+      questions.push(question);
+    }
+  }
+
+  if (!entries.length) {
+    errors.push('The file does not contain any questions');
+  }
+
+  return { questions, errors };
+};
+
+const parseJsonQuiz = content => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return { errors: [`File is not valid JSON: ${error.message}`] };
+  }
+
+  const rawQuestions = Array.isArray(data) ? data : data?.questions;
+  if (!Array.isArray(rawQuestions)) {
+    return {
+      errors: ['Expected a list of questions or an object with "questions"'],
+    };
+  }
+
+  let settings = {};
+  const settingErrors = [];
+  try {
+    settings = Array.isArray(data) ? {} : parseQuizSettings(data);
+  } catch (error) {
+    settingErrors.push(`Quiz settings: ${error.message}`);
+  }
+
+  const { questions, errors } = collectQuestions(
+    rawQuestions.map((data, index) => ({
+      label: `Question ${index + 1}`,
+      data,
+    }))
+  );
+
+  return {
+    title: Array.isArray(data) ? null : data.title,
+    settings,
+    questions,
+    errors: [...settingErrors, ...errors],
+  };
+};
+
+// Expects a header row with question, option_1..option_n (or a single
+// "options" column separated by |), correct and link, plus optional type,
+// tolerance, accepted (separated by |), time_limit (seconds), tag and
+// difficulty columns. Multi-select answers are separated by | too.
+const parseCsvQuiz = content => {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) {
+    return { errors: ['The file is empty'] };
+  }
+
+  const columns = header.map(normalizeHeader);
+  const find = (...names) => columns.findIndex(name => names.includes(name));
+  const questionColumn = find('question', 'question_text');
+  const correctColumn = find('correct', 'correct_answer', 'answer');
+  const linkColumn = find('link', 'url', 'article');
+  const optionsColumn = find('options');
+  const timeLimitColumn = find('time_limit', 'timelimit');
+  const typeColumn = find('type', 'question_type');
+  const toleranceColumn = find('tolerance');
+  const acceptedColumn = find('accepted', 'accepted_answers', 'variants');
+  const tagColumn = find('tag', 'category', 'topic');
+  const difficultyColumn = find('difficulty', 'level');
+  const optionColumns = columns
+    .map((name, index) => (/^option_?([a-z]|\d+)$/.test(name) ? index : -1))
+    .filter(index => index !== -1);
+
+  const missing = [];
+  if (questionColumn === -1) missing.push('question');
+  if (correctColumn === -1) missing.push('correct');
+  if (linkColumn === -1) missing.push('link');
+  if (missing.length) {
+    return { errors: [`Missing column(s): ${missing.join(', ')}`] };
+  }
+
+  const entries = rows
+    .map((row, index) => ({ row, rowNumber: index + 2 }))
+    .filter(({ row }) => row.some(cell => cell.trim()))
+    .map(({ row, rowNumber }) => ({
+      label: `Row ${rowNumber}`,
+      data: {
+        question: row[questionColumn],
+        type: typeColumn !== -1 ? row[typeColumn] : undefined,
+        options:
+          optionsColumn !== -1
+            ? (row[optionsColumn] || '').split('|')
+            : optionColumns.map(index => row[index]),
+        correct: row[correctColumn],
+        link: row[linkColumn],
+        timeLimit: timeLimitColumn !== -1 ? row[timeLimitColumn] : undefined,
+        tolerance: toleranceColumn !== -1 ? row[toleranceColumn] : undefined,
+        accepted: acceptedColumn !== -1 ? row[acceptedColumn] : undefined,
+        tag: tagColumn !== -1 ? row[tagColumn] : undefined,
+        difficulty: difficultyColumn !== -1 ? row[difficultyColumn] : undefined,
+      },
+    }));
+
+  return { title: null, ...collectQuestions(entries) };
+};
+
+// Turns an uploaded file into { title, settings, questions, errors }
+const parseQuizFile = (fileName, content) => {
+  const extension = getExtension(fileName);
+  const result =
+    extension === 'json' ? parseJsonQuiz(content) : parseCsvQuiz(content);
+  return {
+    title: result.title || fileName.replace(/\.[^.]+$/, ''),
+    settings: result.settings || {},
+    questions: result.questions || [],
+    errors: result.errors || [],
+  };
+};
+
+// Serialises a quiz in the same shape as config/quizData.js
+const exportQuiz = (quiz, format = 'json') => {
+  const questions = quiz.questions.map(toPlainQuestion).map(question => ({
+    question: question.question,
+    ...(question.type ? { type: question.type } : {}),
+    // True/false options are implied by the type
+    ...(hasOptions(question) && question.type !== QUESTION_TYPES.TRUE_FALSE
+      ? { options: question.options }
+      : {}),
+    correct: question.correct,
+    link: question.link,
+    ...(question.tolerance ? { tolerance: question.tolerance } : {}),
+    ...(question.accepted ? { accepted: question.accepted } : {}),
+    ...(question.timeLimit ? { timeLimit: question.timeLimit } : {}),
+    ...(question.tag ? { tag: question.tag } : {}),
+    ...(question.difficulty ? { difficulty: question.difficulty } : {}),
+  }));
+  const baseName = `quiz_${quiz.quizId}`;
+
+  if (format === 'csv') {
+    const optionCount = Math.max(
+      ...questions.map(q => (q.options || []).length),
+      0
+    );
+    const optionHeaders = Array.from(
+      { length: optionCount },
+      (_, i) => `option_${i + 1}`
+    );
+    const rows = questions.map(q => [
+      q.question,
+      q.type || '',
+      ...optionHeaders.map((_, i) => (q.options || [])[i] || ''),
+      Array.isArray(q.correct) ? q.correct.join('|') : q.correct,
+      q.link,
+      q.tolerance || '',
+      (q.accepted || []).join('|'),
+      q.timeLimit || '',
+      q.tag || '',
+      q.difficulty || '',
+    ]);
+    return {
+      filename: `${baseName}.csv`,
+      content: toCsv([
+        [
+          'question',
+          'type',
+          ...optionHeaders,
+          'correct',
+          'link',
+          'tolerance',
+          'accepted',
+          'time_limit',
+          'tag',
+          'difficulty',
+        ],
+        ...rows,
+      ]),
+    };
+  }
+
+  const settings = Object.keys(QUIZ_SETTINGS)
+    .filter(key => quiz[key] !== undefined && quiz[key] !== null)
+    .reduce((acc, key) => {
+      acc[key] = quiz[key];
+      return acc;
+    }, {});
+
+  return {
+    filename: `${baseName}.json`,
+    content: JSON.stringify(
+      { title: quiz.title, ...settings, questions },
+      null,
+      2
+    ),
+  };
+};
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  isSupportedFile,
+  parseQuizFile,
+  exportQuiz,
+};
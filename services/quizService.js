@@ -0,0 +1,619 @@
+// services/quizService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { quizzes: seedQuizzes } = require('../config/quizData');
+const { formatDate, formatTimeUntil, shuffle } = require('../utils/helpers');
+const {
+  QUESTION_TYPES,
+  getQuestionType,
+  hasOptions,
+  shufflesOptions,
+  validateAnswerFields,
+  normalizeAnswerFields,
+} = require('./questionTypes');
+
+const QUIZ_STATUS = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+};
+
+const QUIZ_AVAILABILITY = {
+  UPCOMING: 'upcoming',
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+const getQuizCollection = () => mongoose.connection.collection('quizzes');
+
+const parseDateSetting = value => {
+  if (value === null || value === undefined || value === 'none') {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(
+      `"${value}" is not a valid date (use e.g. 2024-10-14T18:00Z)`
+    );
+  }
+  return date;
+};
+
+const parseIntegerSetting = unit => value => {
+  if (value === null || value === undefined || value === 'none') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`"${value}" is not a valid number of ${unit}`);
+  }
+  return number;
+};
+
+const parseSecondsSetting = parseIntegerSetting('seconds');
+
+const parseChoiceSetting = choices => value => {
+  if (value === null || value === undefined || value === 'none') {
+    return null;
+  }
+  if (!choices.includes(value)) {
+    throw new Error(`"${value}" must be one of: ${choices.join(', ')}`);
+  }
+  return value;
+};
+
+// Question fields that question banks can be balanced by
+const BALANCE_FIELDS = ['tag', 'difficulty'];
+
+const parsePercentSetting = value => {
+  const number = parseIntegerSetting('percent')(value);
+  if (number !== null && number > 100) {
+    throw new Error(`"${value}" is not a valid percentage`);
+  }
+  return number;
+};
+
+// "2:80, 1" (or [{ quizId: 2, minPercent: 80 }, 1] in JSON): score at least
+// 80% on quiz 2 and complete quiz 1 first
+const parsePrerequisitesSetting = value => {
+  if (value === null || value === undefined || value === 'none') {
+    return null;
+  }
+  const items = Array.isArray(value)
+    ? value
+    : String(value)
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+
+  const prerequisites = items.map(item => {
+    const [rawQuizId, rawPercent = 0] =
+      typeof item === 'object'
+        ? [item.quizId, item.minPercent ?? 0]
+        : String(item).split(':');
+    const quizId = Number(rawQuizId);
+    if (!Number.isInteger(quizId) || quizId <= 0) {
+      throw new Error(`"${rawQuizId}" is not a valid quiz id`);
+    }
+    const minPercent = Number(rawPercent);
+    if (!Number.isInteger(minPercent) || minPercent < 0 || minPercent > 100) {
+      throw new Error(`"${rawPercent}" is not a valid percentage`);
+    }
+    return { quizId, minPercent };
+  });
+  return prerequisites.length ? prerequisites : null;
+};
+
+const formatPrerequisites = prerequisites =>
+  (prerequisites || [])
+    .map(({ quizId, minPercent }) =>
+      minPercent ? `${quizId}:${minPercent}` : `${quizId}`
+    )
+    .join(', ') || 'none';
+
+// Quiz-level settings that admins can change with /setquiz and that can be
+// given at the top level of an imported JSON file
+const QUIZ_SETTINGS = {
+  opensAt: parseDateSetting,
+  closesAt: parseDateSetting,
+  // Default time limit per question, in seconds
+  timeLimit: parseSecondsSetting,
+  // Maximum extra points for an instant correct answer
+  speedBonus: parseIntegerSetting('points'),
+  // Percentage of correct answers needed to earn gems, and how many
+  gemThreshold: parsePercentSetting,
+  gemReward: parseIntegerSetting('gems'),
+  // Turns the quiz into a question bank: each attempt gets this many
+  // questions picked at random, spread evenly over balanceBy when set
+  sampleSize: parseIntegerSetting('questions'),
+  balanceBy: parseChoiceSetting(BALANCE_FIELDS),
+  // Quizzes that must be completed, optionally with a minimum score, before
+  // this one unlocks
+  prerequisites: parsePrerequisitesSetting,
+};
+
+// Untimed questions still need a window for the speed bonus to shrink over
+const SPEED_BONUS_WINDOW = 30;
+
+const checkQuizWindow = ({ opensAt, closesAt }) => {
+  if (opensAt && closesAt && new Date(opensAt) >= new Date(closesAt)) {
+    throw new Error('opensAt must be before closesAt');
+  }
+};
+
+const parseQuizSettings = raw => {
+  const settings = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    if (QUIZ_SETTINGS[key]) {
+      settings[key] = QUIZ_SETTINGS[key](value);
+    }
+  }
+  checkQuizWindow(settings);
+  return settings;
+};
+
+// Whether players can take the quiz right now, based on opensAt/closesAt
+const getQuizAvailability = (quiz, now = Date.now()) => {
+  const opensAt = quiz.opensAt ? new Date(quiz.opensAt) : null;
+  const closesAt = quiz.closesAt ? new Date(quiz.closesAt) : null;
+
+  if (opensAt && now < opensAt.getTime()) {
+    return { state: QUIZ_AVAILABILITY.UPCOMING, opensAt, closesAt };
+  }
+  if (closesAt && now >= closesAt.getTime()) {
+    return { state: QUIZ_AVAILABILITY.CLOSED, opensAt, closesAt };
+  }
+  return { state: QUIZ_AVAILABILITY.OPEN, opensAt, closesAt };
+};
+
+// Questions are authored (wizard, imports, config/quizData.js) in a plain
+// shape, see services/questionTypes.js. They are stored with ids so answers
+// survive shuffling and rewording: options become [{ id, text }] and the
+// correct answer becomes correctOptionId (correctOptionIds for multi-select).
+// Typed-answer questions keep their correct value as it is.
+const createId = () => crypto.randomBytes(4).toString('hex');
+
+const isStoredQuestion = question => Boolean(question.id);
+
+// Converts a plain question to the stored shape. When it replaces an existing
+// question, ids are kept for options with the same text, then for options
+// whose text changed in place.
+const toStoredQuestion = (input, existing = null) => {
+  const { correct, options, ...rest } = normalizeAnswerFields(input);
+  const id = existing?.id || createId();
+  if (!hasOptions(input)) {
+    return { ...rest, id, correct };
+  }
+
+  const previous = existing?.options || [];
+  const usedIds = new Set();
+  const storedOptions = options.map((text, index) => {
+    const sameText = previous.find(
+      option => option.text === text && !usedIds.has(option.id)
+    );
+    const samePosition =
+      previous[index] &&
+      !usedIds.has(previous[index].id) &&
+      !options.includes(previous[index].text)
+        ? previous[index]
+        : null;
+    const optionId = (sameText || samePosition)?.id || createId();
+    usedIds.add(optionId);
+    return { id: optionId, text };
+  });
+
+  const idFor = text =>
+    storedOptions.find(option => option.text === text)?.id || null;
+  return {
+    ...rest,
+    id,
+    options: storedOptions,
+    ...(getQuestionType(input) === QUESTION_TYPES.MULTI
+      ? { correctOptionIds: correct.map(idFor).filter(Boolean) }
+      : { correctOptionId: idFor(correct) }),
+  };
+};
+
+const toPlainQuestion = question => {
+  if (!isStoredQuestion(question)) {
+    return question;
+  }
+  const { id, options, correctOptionId, correctOptionIds, ...rest } = question;
+  if (!options) {
+    return rest;
+  }
+  const textFor = optionId =>
+    options.find(option => option.id === optionId)?.text || '';
+  return {
+    ...rest,
+    options: options.map(option => option.text),
+    correct: correctOptionIds
+      ? correctOptionIds.map(textFor)
+      : textFor(correctOptionId),
+  };
+};
+
+// Quizzes saved before question ids existed get positional ids, the same
+// ones migrateQuestionIds() persists
+const normalizeQuiz = quiz =>
+  quiz && {
+    ...quiz,
+    questions: (quiz.questions || []).map((question, index) =>
+      isStoredQuestion(question)
+        ? question
+        : toStoredQuestion(question, {
+            id: `q${index + 1}`,
+            options: (question.options || []).map((text, optionIndex) => ({
+              id: `o${optionIndex + 1}`,
+              text,
+            })),
+          })
+    ),
+  };
+
+// Checks a single question and returns a list of human readable problems
+const validateQuestion = input => {
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return ['question is empty'];
+  }
+  const question = toPlainQuestion(input);
+
+  if (!question.question || !String(question.question).trim()) {
+    errors.push('missing question text');
+  }
+
+  errors.push(...validateAnswerFields(question));
+
+  if (!question.link || !String(question.link).trim()) {
+    errors.push('missing link');
+  } else if (!/^https?:\/\//i.test(question.link)) {
+    errors.push('link must start with http:// or https://');
+  }
+
+  if (question.timeLimit !== undefined && question.timeLimit !== null) {
+    try {
+      parseSecondsSetting(question.timeLimit);
+    } catch (error) {
+      errors.push('time limit must be a whole number of seconds');
+    }
+  }
+
+  return errors;
+};
+
+// Number of questions one attempt gets
+const getQuestionCount = quiz =>
+  quiz.sampleSize
+    ? Math.min(quiz.sampleSize, quiz.questions.length)
+    : quiz.questions.length;
+
+// Picks the questions for one attempt. With balanceBy, questions are grouped
+// by that field and taken from the groups in turn, so a sample of 10 from
+// easy/medium/hard gets 4/3/3 rather than whatever the dice give.
+const sampleQuestions = quiz => {
+  const count = getQuestionCount(quiz);
+  if (count === quiz.questions.length) {
+    return quiz.questions;
+  }
+  if (!quiz.balanceBy) {
+    return shuffle(quiz.questions).slice(0, count);
+  }
+
+  const groups = shuffle(
+    Object.values(
+      quiz.questions.reduce((acc, question) => {
+        const key = question[quiz.balanceBy] || '';
+        (acc[key] = acc[key] || []).push(question);
+        return acc;
+      }, {})
+    ).map(shuffle)
+  );
+
+  const sample = [];
+  while (sample.length < count) {
+    for (const group of groups) {
+      if (group.length && sample.length < count) {
+        sample.push(group.pop());
+      }
+    }
+  }
+  return sample;
+};
+
+// Each attempt gets its own question list and order, and its own option
+// order for every question, so answers cannot be shared as "press the
+// second button"
+const createAttemptOrder = quiz => {
+  const questions = shuffle(sampleQuestions(quiz));
+  return {
+    questionOrder: questions.map(question => question.id),
+    optionOrder: questions.filter(hasOptions).reduce((acc, question) => {
+      const optionIds = question.options.map(option => option.id);
+      acc[question.id] = shufflesOptions(question)
+        ? shuffle(optionIds)
+        : optionIds;
+      return acc;
+    }, {}),
+  };
+};
+
+// The question at a position of an attempt, with its options in the order
+// that player sees them. Options added after the attempt started go last.
+const getAttemptQuestion = (quiz, attempt, position) => {
+  const questionId = attempt.questionOrder?.[position];
+  const question = questionId
+    ? quiz.questions.find(item => item.id === questionId)
+    : quiz.questions[position];
+  if (!question || !question.options) {
+    return question || null;
+  }
+
+  const order = attempt.optionOrder?.[question.id] || [];
+  const rank = option =>
+    order.includes(option.id) ? order.indexOf(option.id) : order.length;
+  return {
+    ...question,
+    options: [...question.options].sort((a, b) => rank(a) - rank(b)),
+  };
+};
+
+const getAttemptLength = (quiz, attempt) =>
+  attempt.questionOrder?.length || getQuestionCount(quiz);
+
+// A question's own time limit wins over the quiz default; null means untimed
+const getQuestionTimeLimit = (quiz, question) =>
+  question.timeLimit || quiz.timeLimit || null;
+
+// Bonus points for a correct answer, shrinking linearly to 0 over the
+// question's time limit (or SPEED_BONUS_WINDOW seconds when untimed)
+const getSpeedBonus = (quiz, question, elapsedMs) => {
+  if (!quiz.speedBonus) {
+    return 0;
+  }
+  const windowMs =
+    (getQuestionTimeLimit(quiz, question) || SPEED_BONUS_WINDOW) * 1000;
+  const remaining = Math.max(0, 1 - elapsedMs / windowMs);
+  return Math.round(quiz.speedBonus * remaining);
+};
+
+const getQuiz = async (quizId, { includeDrafts = false } = {}) => {
+  const query = { quizId: parseInt(quizId, 10) };
+  if (!includeDrafts) {
+    query.status = QUIZ_STATUS.PUBLISHED;
+  }
+  return normalizeQuiz(await getQuizCollection().findOne(query));
+};
+
+const listQuizzes = async ({ includeDrafts = false } = {}) => {
+  const query = includeDrafts ? {} : { status: QUIZ_STATUS.PUBLISHED };
+  const quizzes = await getQuizCollection()
+    .find(query)
+    .sort({ quizId: 1 })
+    .toArray();
+  return quizzes.map(normalizeQuiz);
+};
+
+// Message for players trying to play outside the window, null when open
+const getUnavailableReason = (quiz, now = Date.now()) => {
+  const { state, opensAt, closesAt } = getQuizAvailability(quiz, now);
+  if (state === QUIZ_AVAILABILITY.UPCOMING) {
+    return `This quiz opens in ${formatTimeUntil(opensAt.getTime() - now)}.`;
+  }
+  if (state === QUIZ_AVAILABILITY.CLOSED) {
+    return `This quiz closed on ${formatDate(closesAt)}.`;
+  }
+  return null;
+};
+
+const getNextQuizId = async () => {
+  const [latest] = await getQuizCollection()
+    .find({}, { projection: { quizId: 1 } })
+    .sort({ quizId: -1 })
+    .limit(1)
+    .toArray();
+  return latest ? latest.quizId + 1 : 1;
+};
+
+const createQuiz = async ({
+  title,
+  createdBy,
+  questions = [],
+  settings = {},
+}) => {
+  // Retry on duplicate ids in case two admins create a quiz at the same time
+  for (let i = 0; i < 3; i++) {
+    const quizId = await getNextQuizId();
+    const quiz = {
+      quizId,
+      title: title.trim(),
+      questions: questions.map(question => toStoredQuestion(question)),
+      ...settings,
+      status: QUIZ_STATUS.DRAFT,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    try {
+      await getQuizCollection().insertOne(quiz);
+      return quiz;
+    } catch (error) {
+      if (error.code !== 11000 || i === 2) {
+        throw error;
+      }
+    }
+  }
+  return null;
+};
+
+const addQuestion = async (quizId, question) => {
+  const errors = validateQuestion(question);
+  if (errors.length) {
+    throw new Error(`Invalid question: ${errors.join(', ')}`);
+  }
+
+  const result = await getQuizCollection().findOneAndUpdate(
+    { quizId: parseInt(quizId, 10) },
+    {
+      $push: { questions: toStoredQuestion(question) },
+      $set: { updatedAt: new Date() },
+    },
+    { returnDocument: 'after' }
+  );
+  return normalizeQuiz(result.value);
+};
+
+const updateQuestion = async (quizId, questionIndex, question) => {
+  const errors = validateQuestion(question);
+  if (errors.length) {
+    throw new Error(`Invalid question: ${errors.join(', ')}`);
+  }
+
+  const quiz = await getQuiz(quizId, { includeDrafts: true });
+  const existing = quiz?.questions[questionIndex];
+  if (!existing) {
+    return null;
+  }
+
+  const result = await getQuizCollection().findOneAndUpdate(
+    {
+      quizId: quiz.quizId,
+      [`questions.${questionIndex}`]: { $exists: true },
+    },
+    {
+      $set: {
+        [`questions.${questionIndex}`]: toStoredQuestion(question, existing),
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: 'after' }
+  );
+  return normalizeQuiz(result.value);
+};
+
+const updateQuizSettings = async (quizId, rawSettings) => {
+  const quiz = await getQuiz(quizId, { includeDrafts: true });
+  if (!quiz) {
+    throw new Error(`Quiz ${quizId} not found`);
+  }
+
+  const settings = parseQuizSettings(rawSettings);
+  // Changing one end of the window must still leave a valid window
+  checkQuizWindow({ ...quiz, ...settings });
+  if (
+    (settings.prerequisites || []).some(({ quizId }) => quizId === quiz.quizId)
+  ) {
+    throw new Error('A quiz cannot be its own prerequisite');
+  }
+
+  await getQuizCollection().updateOne(
+    { quizId: quiz.quizId },
+    { $set: { ...settings, updatedAt: new Date() } }
+  );
+  return { ...quiz, ...settings };
+};
+
+const publishQuiz = async quizId => {
+  const quiz = await getQuiz(quizId, { includeDrafts: true });
+  if (!quiz) {
+    throw new Error(`Quiz ${quizId} not found`);
+  }
+  if (!quiz.questions.length) {
+    throw new Error(`Quiz ${quizId} has no questions yet`);
+  }
+
+  const invalid = quiz.questions
+    .map((question, index) => ({ index, errors: validateQuestion(question) }))
+    .filter(({ errors }) => errors.length);
+  if (invalid.length) {
+    throw new Error(
+      invalid
+        .map(
+          ({ index, errors }) => `Question ${index + 1}: ${errors.join(', ')}`
+        )
+        .join('\n')
+    );
+  }
+
+  await getQuizCollection().updateOne(
+    { quizId: quiz.quizId },
+    {
+      $set: {
+        status: QUIZ_STATUS.PUBLISHED,
+        publishedAt: new Date(),
+        updatedAt: new Date(),
+      },
+    }
+  );
+  return { ...quiz, status: QUIZ_STATUS.PUBLISHED };
+};
+
+// Copies the quizzes from config/quizData.js into an empty collection so
+// existing deployments keep their quizzes after the move to MongoDB
+const seedQuizCollection = async () => {
+  const collection = getQuizCollection();
+  if ((await collection.countDocuments()) > 0) {
+    return;
+  }
+
+  const documents = Object.entries(seedQuizzes).map(([quizId, quiz]) => ({
+    quizId: parseInt(quizId, 10),
+    ...quiz,
+    ...parseQuizSettings(quiz),
+    questions: quiz.questions.map(question => toStoredQuestion(question)),
+    status: QUIZ_STATUS.PUBLISHED,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    publishedAt: new Date(),
+  }));
+
+  if (documents.length) {
+    await collection.insertMany(documents);
+    console.log(`Seeded ${documents.length} quiz(zes) from config/quizData.js`);
+  }
+};
+
+// Gives questions saved before ids existed their ids for good
+const migrateQuestionIds = async () => {
+  const collection = getQuizCollection();
+  const quizzes = await collection.find({}).toArray();
+
+  for (const quiz of quizzes) {
+    if (quiz.questions.every(isStoredQuestion)) {
+      continue;
+    }
+    await collection.updateOne(
+      { quizId: quiz.quizId },
+      { $set: { questions: normalizeQuiz(quiz).questions } }
+    );
+    console.log(`[DEBUG] Added question ids to quiz ${quiz.quizId}`);
+  }
+};
+
+module.exports = {
+  QUIZ_STATUS,
+  QUIZ_AVAILABILITY,
+  QUIZ_SETTINGS,
+  parseQuizSettings,
+  formatPrerequisites,
+  getQuizAvailability,
+  getUnavailableReason,
+  getQuestionTimeLimit,
+  getSpeedBonus,
+  validateQuestion,
+  toPlainQuestion,
+  createAttemptOrder,
+  getAttemptQuestion,
+  getAttemptLength,
+  getQuestionCount,
+  getQuiz,
+  listQuizzes,
+  createQuiz,
+  addQuestion,
+  updateQuestion,
+  updateQuizSettings,
+  publishQuiz,
+  seedQuizCollection,
+  migrateQuestionIds,
+};
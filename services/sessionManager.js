@@ -20,25 +20,128 @@ const hasUserCompletedQuiz = async userId => {
   return !!user;
 };
 
-// Add this near the top of your file after imports
-const userSessions = new Map();
-
-const getUserSession = userId => {
-  const userKey = userId.toString();
-  if (!userSessions.has(userKey)) {
-    userSessions.set(userKey, {
-      lastMessageId: null,
-      currentQuizId: null, // Will be set to number when quiz starts
-      currentQuestionIndex: null,
-    });
+// Sessions and in-progress quiz attempts live in the sessions collection,
+// not in memory, so every serverless instance sees the same state and a cold
+// start does not lose an attempt. One document per user:
+// { userId, lastAccess, lastMessageId, currentQuizId, currentQuestionIndex,
+//   quizState: { quizId, username, questionOrder, optionOrder,
+//     currentQuestion, startTime, questionStartedAt, questionDeadline,
+//     (questionStartedAt is null until the current question is shown)
+//     answeredQuestions: [index], selectedOptions: [optionId] } | null }
+// Admins' quiz authoring wizards (/newquiz, /addquestion, /editquestion)
+// keep their progress in the same document, as quizWizard.
+// lastAccess feeds the TTL index created by initializeDatabase.
+const getSessionsCollection = () => mongoose.connection.collection('sessions');
+
+const EMPTY_SESSION = {
+  lastMessageId: null,
+  currentQuizId: null,
+  currentQuestionIndex: null,
+  quizState: null,
+};
+
+const getUserSession = async userId => {
+  const session = await getSessionsCollection().findOne({
+    userId: parseInt(userId),
+  });
+  return { ...EMPTY_SESSION, ...session };
+};
+
+// Sets top level session fields, or quizState fields with "quizState.x" keys
+const updateUserSession = async (userId, fields) => {
+  await getSessionsCollection().updateOne(
+    { userId: parseInt(userId) },
+    { $set: { ...fields, lastAccess: new Date() } },
+    { upsert: true }
+  );
+};
+
+const getQuizState = async userId => (await getUserSession(userId)).quizState;
+
+const setQuizState = async (userId, quizState) =>
+  updateUserSession(userId, { quizState });
+
+// Ends the attempt and resets the session. With a quizId, only when that
+// quiz is the one in progress.
+const clearQuizSession = async (userId, quizId = null) => {
+  if (quizId === null) {
+    await updateUserSession(userId, EMPTY_SESSION);
+    return;
+  }
+  await getSessionsCollection().updateOne(
+    { userId: parseInt(userId), 'quizState.quizId': parseInt(quizId) },
+    { $set: { ...EMPTY_SESSION, lastAccess: new Date() } }
+  );
+};
+
+const getQuizWizard = async userId =>
+  (await getUserSession(userId)).quizWizard || null;
+
+const setQuizWizard = (userId, quizWizard) =>
+  updateUserSession(userId, { quizWizard });
+
+const clearQuizWizard = userId =>
+  updateUserSession(userId, { quizWizard: null });
+
+// Marks a question as answered and moves the attempt on, unless another
+// request (a second tap, the timer, another instance) got there first.
+// Returns the quiz state from before the claim, or null when it lost.
+const claimQuestion = async (userId, quizId, questionIndex) => {
+  const result = await getSessionsCollection().findOneAndUpdate(
+    {
+      userId: parseInt(userId),
+      'quizState.quizId': quizId,
+      'quizState.currentQuestion': questionIndex,
+      'quizState.answeredQuestions': { $ne: questionIndex },
+    },
+    {
+      $push: { 'quizState.answeredQuestions': questionIndex },
+      $set: {
+        'quizState.currentQuestion': questionIndex + 1,
+        'quizState.questionStartedAt': null,
+        'quizState.questionDeadline': null,
+        currentQuestionIndex: questionIndex + 1,
+        lastAccess: new Date(),
+      },
+    },
+    { returnDocument: 'before' }
+  );
+  return result.value?.quizState || null;
+};
+
+// Ticks or unticks an option of a multi-select question, returns the new
+// quiz state
+const toggleSelectedOption = async (userId, optionId) => {
+  const quizState = await getQuizState(userId);
+  if (!quizState) {
+    return null;
   }
-  return userSessions.get(userKey);
+  const operator = quizState.selectedOptions.includes(optionId)
+    ? '$pull'
+    : '$addToSet';
+  const result = await getSessionsCollection().findOneAndUpdate(
+    { userId: parseInt(userId) },
+    {
+      [operator]: { 'quizState.selectedOptions': optionId },
+      $set: { lastAccess: new Date() },
+    },
+    { returnDocument: 'after' }
+  );
+  return result.value?.quizState || null;
 };
 
 module.exports = {
   activeConnections,
   manageConnection,
   getUserSession,
+  updateUserSession,
+  getQuizState,
+  setQuizState,
+  clearQuizSession,
+  claimQuestion,
+  toggleSelectedOption,
+  getQuizWizard,
+  setQuizWizard,
+  clearQuizWizard,
   hasUserCompletedQuiz,
-  userSessions,
 };
@@ -0,0 +1,285 @@
+// services/teams.js
+// Teams players create and join with an invite code. Membership lives in
+// teamMembers, next to userQuiz, and team scores are added up from the
+// members' completed quizzes whenever /teamboard is shown, so every
+// completion counts for the team straight away.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../config/default');
+const { POINTS_EXPRESSION } = require('./leaderboard');
+
+const TEAM_RANKINGS = ['average', 'total'];
+
+const TEAM_NAME_LENGTH = { min: 3, max: 32 };
+
+// Why createTeam did not create a team
+const CREATE_TEAM_ERRORS = {
+  NAME_TAKEN: 'name_taken',
+  ALREADY_IN_TEAM: 'already_in_team',
+};
+
+const getTeamsCollection = () => mongoose.connection.collection('teams');
+
+const getTeamMembersCollection = () =>
+  mongoose.connection.collection('teamMembers');
+
+// Names are unique whatever their case and spacing
+const getNameKey = name => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const createTeamCode = () =>
+  crypto.randomBytes(3).toString('hex').toUpperCase();
+
+const getTeamByCode = code =>
+  getTeamsCollection().findOne({ code: code.trim().toUpperCase() });
+
+// The team a player is in, with their membership, or null
+const getTeamForUser = async userId => {
+  const member = await getTeamMembersCollection().findOne({
+    userId: parseInt(userId),
+  });
+  if (!member) {
+    return null;
+  }
+  const team = await getTeamsCollection().findOne({ teamId: member.teamId });
+  return team ? { ...team, member } : null;
+};
+
+// Adds a player to a team if it has room. Seats are taken atomically, so a
+// full team can't be overfilled by players joining at once. Returns false
+// when the team is full or the player is already in a team.
+const joinTeam = async (team, user) => {
+  const { value: seated } = await getTeamsCollection().findOneAndUpdate(
+    { teamId: team.teamId, memberCount: { $lt: config.teams.maxSize } },
+    { $inc: { memberCount: 1 } }
+  );
+  if (!seated) {
+    return false;
+  }
+
+  const { upsertedCount } = await getTeamMembersCollection().updateOne(
+    { userId: parseInt(user.id) },
+    {
+      $setOnInsert: {
+        teamId: team.teamId,
+        username: user.username || user.first_name || 'Unknown',
+        joinedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+  if (!upsertedCount) {
+    await getTeamsCollection().updateOne(
+      { teamId: team.teamId },
+      { $inc: { memberCount: -1 } }
+    );
+    return false;
+  }
+  return true;
+};
+
+// Creates a team with its founder as the first member. Returns { team }, or
+// { error } from CREATE_TEAM_ERRORS when the name is taken or the founder
+// joined another team meanwhile.
+const createTeam = async (name, user) => {
+  const nameKey = getNameKey(name);
+  if (await getTeamsCollection().findOne({ nameKey })) {
+    return { error: CREATE_TEAM_ERRORS.NAME_TAKEN };
+  }
+
+  for (let i = 0; i < 3; i++) {
+    const team = {
+      teamId: crypto.randomBytes(4).toString('hex'),
+      name: name.trim().replace(/\s+/g, ' '),
+      nameKey,
+      code: createTeamCode(),
+      ownerId: parseInt(user.id),
+      memberCount: 0,
+      createdAt: new Date(),
+    };
+
+    try {
+      await getTeamsCollection().insertOne(team);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // A clashing invite code is retried, a clashing name is not
+      if (await getTeamsCollection().findOne({ nameKey })) {
+        return { error: CREATE_TEAM_ERRORS.NAME_TAKEN };
+      }
+      continue;
+    }
+
+    if (!(await joinTeam(team, user))) {
+      await getTeamsCollection().deleteOne({ teamId: team.teamId });
+      return { error: CREATE_TEAM_ERRORS.ALREADY_IN_TEAM };
+    }
+    return { team: { ...team, memberCount: 1 } };
+  }
+  throw new Error('Could not find a free invite code');
+};
+
+// Removes a player from their team, and the team once nobody is left.
+// Returns the team they left, or null when they were not in one.
+const leaveTeam = async userId => {
+  const { value: member } = await getTeamMembersCollection().findOneAndDelete({
+    userId: parseInt(userId),
+  });
+  if (!member) {
+    return null;
+  }
+
+  const { value: team } = await getTeamsCollection().findOneAndUpdate(
+    { teamId: member.teamId },
+    { $inc: { memberCount: -1 } },
+    { returnDocument: 'after' }
+  );
+  if (team && team.memberCount <= 0) {
+    await getTeamsCollection().deleteOne({
+      teamId: team.teamId,
+      memberCount: { $lte: 0 },
+    });
+  }
+  return team;
+};
+
+// An expression over a document's fields, rewritten to read the same fields
+// from a $map variable
+const forVariable = (expression, name) => {
+  if (typeof expression === 'string') {
+    return /^\$\w/.test(expression)
+      ? `$$${name}.${expression.slice(1)}`
+      : expression;
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => forVariable(item, name));
+  }
+  if (expression && typeof expression === 'object') {
+    return Object.fromEntries(
+      Object.entries(expression).map(([key, value]) => [
+        key,
+        forVariable(value, name),
+      ])
+    );
+  }
+  return expression;
+};
+
+// Ranks every team by the average or total points of its best
+// countedMembers players. Members who have not completed a quiz yet don't
+// count, so they never pull an average down.
+const getTeamBoard = async ({ ranking = config.teams.ranking } = {}) => {
+  const order =
+    ranking === 'total'
+      ? { totalScore: -1, averageScore: -1, name: 1 }
+      : { averageScore: -1, totalScore: -1, name: 1 };
+
+  return getTeamMembersCollection()
+    .aggregate([
+      {
+        $lookup: {
+          from: 'userQuiz',
+          localField: 'userId',
+          foreignField: 'userId',
+          as: 'results',
+        },
+      },
+      {
+        $addFields: {
+          results: {
+            $filter: {
+              input: '$results',
+              as: 'result',
+              cond: { $eq: ['$$result.completed', true] },
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          teamId: 1,
+          quizCount: { $size: '$results' },
+          points: {
+            $sum: {
+              $map: {
+                input: '$results',
+                as: 'result',
+                in: forVariable(POINTS_EXPRESSION, 'result'),
+              },
+            },
+          },
+        },
+      },
+      { $sort: { points: -1, userId: 1 } },
+      {
+        $group: {
+          _id: '$teamId',
+          memberCount: { $sum: 1 },
+          players: { $push: { points: '$points', quizCount: '$quizCount' } },
+        },
+      },
+      {
+        $project: {
+          memberCount: 1,
+          counted: {
+            $slice: [
+              {
+                $filter: {
+                  input: '$players',
+                  as: 'player',
+                  cond: { $gt: ['$$player.quizCount', 0] },
+                },
+              },
+              config.teams.countedMembers,
+            ],
+          },
+        },
+      },
+      {
+        $project: {
+          memberCount: 1,
+          countedMembers: { $size: '$counted' },
+          totalScore: { $sum: '$counted.points' },
+        },
+      },
+      {
+        $lookup: {
+          from: 'teams',
+          localField: '_id',
+          foreignField: 'teamId',
+          as: 'team',
+        },
+      },
+      { $unwind: '$team' },
+      {
+        $project: {
+          teamId: '$_id',
+          name: '$team.name',
+          memberCount: 1,
+          countedMembers: 1,
+          totalScore: 1,
+          averageScore: {
+            $cond: [
+              { $gt: ['$countedMembers', 0] },
+              { $divide: ['$totalScore', '$countedMembers'] },
+              0,
+            ],
+          },
+        },
+      },
+      { $sort: order },
+    ])
+    .toArray();
+};
+
+module.exports = {
+  TEAM_RANKINGS,
+  TEAM_NAME_LENGTH,
+  CREATE_TEAM_ERRORS,
+  getTeamByCode,
+  getTeamForUser,
+  createTeam,
+  joinTeam,
+  leaveTeam,
+  getTeamBoard,
+};
@@ -0,0 +1,106 @@
+// test/helpers.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// config/default.js exits without a bot token; none is used here
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+const config = require('../config/default');
+const { startOfPeriod, getDayKey } = require('../utils/helpers');
+
+// The helpers read config.timezone on every call
+const inTimeZone = (timezone, fn) => () => {
+  const previous = config.timezone;
+  config.timezone = timezone;
+  try {
+    fn();
+  } finally {
+    config.timezone = previous;
+  }
+};
+
+const at = iso => new Date(iso);
+const assertStart = (unit, date, expected) =>
+  assert.equal(startOfPeriod(unit, at(date)).toISOString(), expected);
+
+test(
+  'periods start at UTC midnight in UTC',
+  inTimeZone('UTC', () => {
+    // A Wednesday
+    const date = '2024-05-15T13:45:00.000Z';
+    assertStart('day', date, '2024-05-15T00:00:00.000Z');
+    assertStart('week', date, '2024-05-13T00:00:00.000Z');
+    assertStart('month', date, '2024-05-01T00:00:00.000Z');
+    assertStart('quarter', date, '2024-04-01T00:00:00.000Z');
+    assert.equal(getDayKey(at(date)), '2024-05-15');
+  })
+);
+
+test(
+  'weeks start on Monday, even from a Sunday',
+  inTimeZone('UTC', () => {
+    assertStart('week', '2024-05-19T23:59:59.000Z', '2024-05-13T00:00:00.000Z');
+    assertStart('week', '2024-05-20T00:00:00.000Z', '2024-05-20T00:00:00.000Z');
+  })
+);
+
+test(
+  'periods start at local midnight east of UTC',
+  inTimeZone('Asia/Kolkata', () => {
+    // 01:30 on the 16th in India (UTC+5:30)
+    const date = '2024-05-15T20:00:00.000Z';
+    assertStart('day', date, '2024-05-15T18:30:00.000Z');
+    assertStart('month', date, '2024-04-30T18:30:00.000Z');
+    assertStart('quarter', date, '2024-03-31T18:30:00.000Z');
+    assert.equal(getDayKey(at(date)), '2024-05-16');
+  })
+);
+
+test(
+  'day keys follow the local calendar day',
+  inTimeZone('Pacific/Auckland', () => {
+    // New Zealand is UTC+13 in January
+    assert.equal(getDayKey(at('2024-01-01T10:59:59.000Z')), '2024-01-01');
+    assert.equal(getDayKey(at('2024-01-01T11:00:00.000Z')), '2024-01-02');
+  })
+);
+
+test(
+  'periods across the spring daylight saving change',
+  inTimeZone('America/New_York', () => {
+    // Clocks went forward on Sunday 2024-03-10; 08:00 EDT
+    const date = '2024-03-10T12:00:00.000Z';
+    assertStart('day', date, '2024-03-10T05:00:00.000Z');
+    assertStart('week', date, '2024-03-04T05:00:00.000Z');
+    assertStart('month', date, '2024-03-01T05:00:00.000Z');
+    assertStart('quarter', date, '2024-01-01T05:00:00.000Z');
+    // The Monday after is already on daylight time
+    assertStart('week', '2024-03-12T12:00:00.000Z', '2024-03-11T04:00:00.000Z');
+    // A quarter that starts on daylight time, seen from within it
+    assertStart(
+      'quarter',
+      '2024-05-20T12:00:00.000Z',
+      '2024-04-01T04:00:00.000Z'
+    );
+
+    assert.equal(getDayKey(at('2024-03-10T04:59:59.000Z')), '2024-03-09');
+    assert.equal(getDayKey(at('2024-03-10T05:00:00.000Z')), '2024-03-10');
+  })
+);
+
+test(
+  'periods across the autumn daylight saving change',
+  inTimeZone('Europe/London', () => {
+    // Clocks went back on Sunday 2024-10-27, so October started on BST
+    const date = '2024-10-28T10:00:00.000Z';
+    assertStart('day', date, '2024-10-28T00:00:00.000Z');
+    assertStart('week', date, '2024-10-28T00:00:00.000Z');
+    assertStart('month', date, '2024-09-30T23:00:00.000Z');
+    assertStart('quarter', date, '2024-09-30T23:00:00.000Z');
+    // The day of the change is 25 hours long and starts on BST
+    assertStart('day', '2024-10-27T23:30:00.000Z', '2024-10-26T23:00:00.000Z');
+    assertStart('week', '2024-10-27T12:00:00.000Z', '2024-10-20T23:00:00.000Z');
+
+    assert.equal(getDayKey(at('2024-10-26T22:59:59.000Z')), '2024-10-26');
+    assert.equal(getDayKey(at('2024-10-26T23:00:00.000Z')), '2024-10-27');
+  })
+);
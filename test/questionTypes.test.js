@@ -0,0 +1,144 @@
+// test/questionTypes.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  QUESTION_TYPES,
+  parseNumber,
+  validateAnswerFields,
+  normalizeAnswerFields,
+  checkAnswer,
+} = require('../services/questionTypes');
+
+test('single choice and untyped questions match the correct option id', () => {
+  const question = { options: [], correctOptionId: 'b' };
+  assert.equal(checkAnswer(question, 'b'), true);
+  assert.equal(checkAnswer(question, 'a'), false);
+  assert.equal(
+    checkAnswer({ ...question, type: QUESTION_TYPES.TRUE_FALSE }, 'b'),
+    true
+  );
+});
+
+test('multi-select needs exactly the correct options, in any order', () => {
+  const question = {
+    type: QUESTION_TYPES.MULTI,
+    correctOptionIds: ['a', 'c'],
+  };
+  assert.equal(checkAnswer(question, ['c', 'a']), true);
+  assert.equal(checkAnswer(question, ['a', 'c', 'a']), true);
+  assert.equal(checkAnswer(question, ['a']), false);
+  assert.equal(checkAnswer(question, ['a', 'b', 'c']), false);
+  assert.equal(checkAnswer(question, []), false);
+  assert.equal(checkAnswer(question, undefined), false);
+});
+
+test('numbers are parsed with a dot or a comma', () => {
+  assert.equal(parseNumber('12'), 12);
+  assert.equal(parseNumber(' -3.5 '), -3.5);
+  assert.equal(parseNumber('3,5'), 3.5);
+  assert.equal(parseNumber('.5'), 0.5);
+  assert.equal(parseNumber(7), 7);
+  assert.equal(parseNumber('1 000'), 1000);
+  assert.equal(parseNumber('12abc'), null);
+  assert.equal(parseNumber(''), null);
+  assert.equal(parseNumber(Infinity), null);
+});
+
+test('numeric answers are right within the tolerance', () => {
+  const exact = normalizeAnswerFields({
+    type: QUESTION_TYPES.NUMERIC,
+    correct: '42',
+  });
+  assert.equal(checkAnswer(exact, '42'), true);
+  assert.equal(checkAnswer(exact, '42,0'), true);
+  assert.equal(checkAnswer(exact, '42.1'), false);
+  assert.equal(checkAnswer(exact, 'forty-two'), false);
+
+  const approximate = normalizeAnswerFields({
+    type: QUESTION_TYPES.NUMERIC,
+    correct: 3.14,
+    tolerance: '0.01',
+  });
+  assert.equal(approximate.tolerance, 0.01);
+  assert.equal(checkAnswer(approximate, '3.15'), true);
+  assert.equal(checkAnswer(approximate, '3,13'), true);
+  assert.equal(checkAnswer(approximate, '3.16'), false);
+});
+
+test('text answers ignore case, spacing and trailing punctuation', () => {
+  const question = normalizeAnswerFields({
+    type: QUESTION_TYPES.TEXT,
+    correct: ' Paris ',
+  });
+  assert.equal(question.correct, 'Paris');
+  assert.equal(checkAnswer(question, 'paris'), true);
+  assert.equal(checkAnswer(question, '  PARIS!! '), true);
+  assert.equal(checkAnswer(question, 'Paris, France'), false);
+  assert.equal(checkAnswer(question, ''), false);
+});
+
+test('text answers accept the listed variants', () => {
+  const question = normalizeAnswerFields({
+    type: QUESTION_TYPES.TEXT,
+    correct: 'United States',
+    accepted: 'USA | the  united states|US',
+  });
+  assert.deepEqual(question.accepted, ['USA', 'the  united states', 'US']);
+  assert.equal(checkAnswer(question, 'usa'), true);
+  assert.equal(checkAnswer(question, 'The United States.'), true);
+  assert.equal(checkAnswer(question, 'us'), true);
+  assert.equal(checkAnswer(question, 'America'), false);
+});
+
+test('true/false questions get their options filled in', () => {
+  const question = normalizeAnswerFields({
+    type: QUESTION_TYPES.TRUE_FALSE,
+    correct: 'no',
+  });
+  assert.deepEqual(question.options, ['True', 'False']);
+  assert.equal(question.correct, 'False');
+});
+
+test('multi-select correct answers are split on |', () => {
+  const question = normalizeAnswerFields({
+    type: QUESTION_TYPES.MULTI,
+    options: ['A', 'B', 'C'],
+    correct: 'A|C',
+  });
+  assert.deepEqual(question.correct, ['A', 'C']);
+});
+
+test('authoring problems are reported per type', () => {
+  assert.deepEqual(
+    validateAnswerFields({ options: ['A', 'B'], correct: 'A' }),
+    []
+  );
+  assert.deepEqual(validateAnswerFields({ options: ['A'], correct: 'B' }), [
+    'at least two options are required',
+    'correct answer is not one of the options',
+  ]);
+  assert.deepEqual(
+    validateAnswerFields({
+      type: QUESTION_TYPES.MULTI,
+      options: ['A', 'B'],
+      correct: ['A', 'C'],
+    }),
+    ['every correct answer must be one of the options']
+  );
+  assert.deepEqual(
+    validateAnswerFields({
+      type: QUESTION_TYPES.NUMERIC,
+      correct: 'ten',
+      tolerance: -1,
+    }),
+    [
+      'correct answer must be a number',
+      'tolerance must be a number of 0 or more',
+    ]
+  );
+  assert.deepEqual(
+    validateAnswerFields({ type: QUESTION_TYPES.TRUE_FALSE, correct: 'maybe' }),
+    ['correct answer must be true or false']
+  );
+  assert.match(validateAnswerFields({ type: 'essay' })[0], /unknown question/);
+});
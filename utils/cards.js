@@ -0,0 +1,219 @@
+// utils/cards.js
+// Image cards drawn as SVG and rendered to PNG with resvg. The fonts come
+// from the dejavu-fonts-ttf package rather than the system, so cards render
+// the same on any server, offline.
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+
+const FONT_DIR = path.join(
+  path.dirname(require.resolve('dejavu-fonts-ttf/package.json')),
+  'ttf'
+);
+const FONT_FAMILY = 'DejaVu Sans';
+
+const WIDTH = 1080;
+const COLORS = {
+  backgroundTop: '#0f172a',
+  backgroundBottom: '#1e1b4b',
+  panel: '#1e293b',
+  accent: '#fbbf24',
+  text: '#f8fafc',
+  muted: '#94a3b8',
+  track: '#334155',
+};
+// Gold, silver and bronze for the top three, a plain disc for the rest
+const MEDAL_COLORS = ['#f5c542', '#c0c7d1', '#cd7f32'];
+
+// DejaVu has no emoji, so they are dropped rather than drawn as boxes
+const cleanText = text =>
+  String(text ?? '')
+    .replace(/[\p{Extended_Pictographic}\u{FE0F}\u{200D}]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const escapeXml = text =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// SVG can't measure text, so long strings are cut at a character count
+// that fits the space at that font size
+const fitText = (text, maxChars) => {
+  const clean = cleanText(text);
+  return escapeXml(
+    clean.length > maxChars
+      ? `${clean.slice(0, maxChars - 1).trimEnd()}…`
+      : clean
+  );
+};
+
+const svgText = (
+  x,
+  y,
+  content,
+  { size, color = COLORS.text, weight, anchor }
+) =>
+  `<text x="${x}" y="${y}" font-size="${size}" fill="${color}"${
+    weight ? ` font-weight="${weight}"` : ''
+  }${anchor ? ` text-anchor="${anchor}"` : ''}>${content}</text>`;
+
+const renderPng = (height, body) => {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}" font-family="${FONT_FAMILY}">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="0" y2="1">
+      <stop offset="0" stop-color="${COLORS.backgroundTop}"/>
+      <stop offset="1" stop-color="${COLORS.backgroundBottom}"/>
+    </linearGradient>
+  </defs>
+  <rect width="${WIDTH}" height="${height}" fill="url(#background)"/>
+  <rect width="${WIDTH}" height="8" fill="${COLORS.accent}"/>
+  ${body.join('\n  ')}
+</svg>`;
+
+  return new Resvg(svg, {
+    font: {
+      fontDirs: [FONT_DIR],
+      loadSystemFonts: false,
+      defaultFontFamily: FONT_FAMILY,
+    },
+  })
+    .render()
+    .asPng();
+};
+
+// A ranking of players. Each row has a name and a detail line on the left,
+// and a value with a subValue on the right. Returns a PNG buffer.
+const renderLeaderboardCard = ({ brand, title, subtitle, rows, footer }) => {
+  const rowHeight = 110;
+  const top = 230;
+  const height = top + Math.max(rows.length, 1) * rowHeight + 70;
+
+  const body = [
+    svgText(60, 75, fitText(String(brand).toUpperCase(), 40), {
+      size: 26,
+      color: COLORS.accent,
+      weight: 'bold',
+    }),
+    svgText(60, 140, fitText(title, 28), { size: 56, weight: 'bold' }),
+    svgText(60, 188, fitText(subtitle, 60), { size: 28, color: COLORS.muted }),
+  ];
+
+  if (!rows.length) {
+    body.push(
+      svgText(
+        WIDTH / 2,
+        top + 60,
+        'No quiz results yet. Be the first to complete a quiz!',
+        { size: 30, color: COLORS.muted, anchor: 'middle' }
+      )
+    );
+  }
+
+  rows.forEach((row, i) => {
+    const y = top + i * rowHeight;
+    body.push(
+      `<rect x="40" y="${y}" width="${WIDTH - 80}" height="96" rx="18" fill="${
+        COLORS.panel
+      }"/>`,
+      `<circle cx="100" cy="${y + 48}" r="30" fill="${
+        MEDAL_COLORS[i] || COLORS.track
+      }"/>`,
+      svgText(100, y + 58, i + 1, {
+        size: 28,
+        color: i < MEDAL_COLORS.length ? COLORS.backgroundTop : COLORS.text,
+        weight: 'bold',
+        anchor: 'middle',
+      }),
+      svgText(160, y + 44, fitText(row.name, 24), { size: 34, weight: 'bold' }),
+      svgText(160, y + 80, fitText(row.detail, 48), {
+        size: 22,
+        color: COLORS.muted,
+      }),
+      svgText(WIDTH - 70, y + 44, fitText(row.value, 16), {
+        size: 32,
+        color: COLORS.accent,
+        weight: 'bold',
+        anchor: 'end',
+      }),
+      svgText(WIDTH - 70, y + 80, fitText(row.subValue, 22), {
+        size: 22,
+        color: COLORS.muted,
+        anchor: 'end',
+      })
+    );
+  });
+
+  body.push(
+    svgText(WIDTH / 2, height - 32, fitText(footer, 80), {
+      size: 22,
+      color: COLORS.muted,
+      anchor: 'middle',
+    })
+  );
+  return renderPng(height, body);
+};
+
+// One player's result on a quiz, made to be shared. details are short
+// facts shown under the score, e.g. points and time. Returns a PNG buffer.
+const renderScoreCard = ({
+  brand,
+  playerName,
+  quizTitle,
+  correct,
+  total,
+  details,
+  footer,
+}) => {
+  const height = 640;
+  const percent = total ? Math.round((correct / total) * 100) : 0;
+  const barWidth = WIDTH - 240;
+
+  const body = [
+    svgText(60, 75, fitText(String(brand).toUpperCase(), 40), {
+      size: 26,
+      color: COLORS.accent,
+      weight: 'bold',
+    }),
+    svgText(WIDTH / 2, 150, fitText(playerName, 30), {
+      size: 34,
+      color: COLORS.muted,
+      anchor: 'middle',
+    }),
+    svgText(WIDTH / 2, 205, fitText(quizTitle, 32), {
+      size: 44,
+      weight: 'bold',
+      anchor: 'middle',
+    }),
+    svgText(WIDTH / 2, 360, `${correct}/${total}`, {
+      size: 150,
+      color: COLORS.accent,
+      weight: 'bold',
+      anchor: 'middle',
+    }),
+    `<rect x="120" y="400" width="${barWidth}" height="18" rx="9" fill="${COLORS.track}"/>`,
+    `<rect x="120" y="400" width="${Math.round(
+      (barWidth * percent) / 100
+    )}" height="18" rx="9" fill="${COLORS.accent}"/>`,
+    svgText(
+      WIDTH / 2,
+      475,
+      fitText(
+        [percent === 100 ? 'Perfect score' : `${percent}%`, ...details].join(
+          '  ·  '
+        ),
+        56
+      ),
+      { size: 30, anchor: 'middle' }
+    ),
+    svgText(WIDTH / 2, height - 50, fitText(footer, 70), {
+      size: 26,
+      color: COLORS.muted,
+      anchor: 'middle',
+    }),
+  ];
+  return renderPng(height, body);
+};
+
+module.exports = { renderLeaderboardCard, renderScoreCard };
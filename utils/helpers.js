@@ -1,20 +1,150 @@
-const { quizzes } = require('../config/quizData');
+const config = require('../config/default');
 
 const escapeMarkdown = text => {
   return text.replace(/[_*[\]()~`>#+=|{}.!-]/g, '\\$&');
 };
 
-const getLatestQuizId = () => {
-  const quizIds = Object.keys(quizzes).map(Number);
-  return Math.max(...quizIds);
+// Human readable time span, e.g. "2d 3h", "3h 20m" or "12m"
+const formatTimeUntil = ms => {
+  const totalMinutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return 'less than a minute';
 };
 
-module.exports = {
-  escapeMarkdown,
-  getLatestQuizId,
+// Compact duration for completion times, e.g. "42s", "3m 05s" or "1h 02m"
+const formatDuration = ms => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = value => String(value).padStart(2, '0');
+
+  if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+  if (minutes > 0) return `${minutes}m ${pad(seconds)}s`;
+  return `${seconds}s`;
+};
+
+const ordinalSuffix = day => {
+  if (day % 100 >= 11 && day % 100 <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th';
+};
+
+// Formats a deadline like "Monday, October 14th" in the configured timezone
+const formatDate = date => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    timeZone: config.timezone,
+  }).formatToParts(new Date(date));
+  const get = type => parts.find(part => part.type === type)?.value;
+  const day = parseInt(get('day'), 10);
+  return `${get('weekday')}, ${get('month')} ${day}${ordinalSuffix(day)}`;
+};
+
+// How far the configured timezone is ahead of UTC at a given moment, in ms
+const getTimeZoneOffset = date => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23',
+    timeZone: config.timezone,
+  }).formatToParts(date);
+  const get = type =>
+    parseInt(parts.find(part => part.type === type).value, 10);
+  const wallClock = Date.UTC(
+    get('year'),
+    get('month') - 1,
+    get('day'),
+    get('hour'),
+    get('minute'),
+    get('second')
+  );
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Midnight at the start of the day, week (from Monday), month or quarter
+// that contains date, in the configured timezone
+const startOfPeriod = (unit, date = new Date()) => {
+  const offset = getTimeZoneOffset(date);
+  const local = new Date(date.getTime() + offset);
+  let month = local.getUTCMonth();
+  let day = local.getUTCDate();
+
+  if (unit === 'week') {
+    day -= (local.getUTCDay() + 6) % 7;
+  } else if (unit === 'month') {
+    day = 1;
+  } else if (unit === 'quarter') {
+    month -= month % 3;
+    day = 1;
+  }
+
+  const midnight = Date.UTC(local.getUTCFullYear(), month, day);
+  // Midnight can be on the other side of a daylight saving change
+  return new Date(midnight - getTimeZoneOffset(new Date(midnight - offset)));
+};
+
+// The calendar day of a moment in the configured timezone, as YYYY-MM-DD
+const getDayKey = (date = new Date()) =>
+  new Date(date.getTime() + getTimeZoneOffset(date)).toISOString().slice(0, 10);
+
+// Admin commands are open to everyone when running locally
+const isAdmin = userId => {
+  return (
+    process.env.NODE_ENV === 'local' || config.bot.adminIds.includes(userId)
+  );
+};
+
+// Bot admins, and the admins of the group chat the update came from
+const isGroupAdmin = async ctx => {
+  if (isAdmin(ctx.from.id)) {
+    return true;
+  }
+  const member = await ctx.getChatMember(ctx.from.id);
+  return ['creator', 'administrator'].includes(member.status);
+};
+
+// Fisher-Yates shuffle, returns a new array
+const shuffle = items => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
 };
 
+// Returns the whitespace separated arguments that follow a command
+const getCommandArgs = ctx => {
+  const text = ctx.message?.text || '';
+  return text.trim().split(/\s+/).slice(1);
+};
+
+// Link that opens the bot, running /start with the payload when one is given
+const getStartLink = (botUsername, payload = null) =>
+  `https://t.me/${botUsername}${payload ? `?start=${payload}` : ''}`;
+
 module.exports = {
   escapeMarkdown,
-  getLatestQuizId,
+  formatTimeUntil,
+  formatDuration,
+  formatDate,
+  startOfPeriod,
+  getDayKey,
+  isAdmin,
+  isGroupAdmin,
+  getCommandArgs,
+  getStartLink,
+  shuffle,
 };